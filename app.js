@@ -1,21 +1,49 @@
 /**
  * ELISA Plate Analyzer - Main Application
- * 96-well plate management, data entry, and concentration calculation
+ * Microplate (24- to 384-well) management, data entry, and concentration calculation
  */
 
+// Browser storage key of the reference curve library
+const REFERENCE_CURVE_STORAGE_KEY = 'elisaReferenceCurves';
+
+// Supported plate formats: well count -> rows x columns
+const PLATE_FORMATS = {
+    24: { rows: 4, cols: 6 },
+    48: { rows: 6, cols: 8 },
+    96: { rows: 8, cols: 12 },
+    384: { rows: 16, cols: 24 }
+};
+
+// Replicate layouts: block of wells (rows x columns) holding one sample's technical replicates,
+// or byName to group wells with identical names wherever they are
+const REPLICATE_PATTERNS = {
+    'horizontal-pairs': { rows: 1, cols: 2 },
+    'horizontal-triplicates': { rows: 1, cols: 3 },
+    'vertical-pairs': { rows: 2, cols: 1 },
+    'vertical-triplicates': { rows: 3, cols: 1 },
+    name: { byName: true }
+};
+
+// Per-plate state kept index-aligned with the plate collection, and the value a new plate starts with
+const PLATE_STATE_DEFAULTS = {
+    plateParams: null,
+    plateMinODs: 0,
+    plateConstraints: null,
+    plateRobustLoss: 'none',
+    plateReferenceAssignments: null,
+    plateSignalChecks: null
+};
+
 class ELISAPlateAnalyzer {
     constructor() {
-        // Plate configuration
-        this.rows = ['A', 'B', 'C', 'D', 'E', 'F', 'G', 'H'];
-        this.cols = Array.from({ length: 12 }, (_, i) => i + 1);
+        // Plate configuration (rows A.., columns 1..), see setPlateGeometry
+        this.setPlateGeometry(96);
 
-        // Multi-plate data storage (10 plates)
-        this.plates = [];
-        for (let i = 0; i < 10; i++) {
-            this.plates.push(this.createEmptyPlate());
-        }
+        // Multi-plate data storage: plates are added, removed and reordered by the user (see applyPlateOrder)
+        this.plates = [this.createEmptyPlate()];
+        this.plateNames = ['Plate 1'];
 
-        // Current plate for display (index 0-9)
+        // Current plate for display (index into this.plates)
         this.currentPlateIndex = 0;
 
         // Legacy single plate data for UI display
@@ -27,9 +55,45 @@ class ELISAPlateAnalyzer {
         this.chartManager = null;
 
         // 4PL parameters for each plate
-        this.plateParams = new Array(6).fill(null);
+        this.plateParams = [null];
         this.fittedParams = null; // Currently displayed params
 
+        // Minimum OD of each plate, subtracted from all wells when "subtract min" is on
+        this.plateMinODs = [0];
+
+        // User parameter constraints (fixed values / bounds) for each plate, null = unconstrained
+        this.plateConstraints = [null];
+
+        // Robust loss for IRLS fitting of each plate: 'none' | 'huber' | 'bisquare'
+        this.plateRobustLoss = ['none'];
+
+        // Saved reference (master) curves and the one assigned to each plate: {curveId, anchor, calibratorConc}
+        this.referenceCurves = this.loadReferenceCurves();
+        this.plateReferenceAssignments = [null];
+
+        // Saturation / hook-effect checks of each plate's standards (see getWellSignalFlag)
+        this.plateSignalChecks = [null];
+
+        // CurveFitter workers (see runFitterTask): 'fit' runs fitCurve, 'uncertainty' the resampling,
+        // so either can be cancelled without the other
+        this.fitterWorkers = { fit: null, uncertainty: null };
+        this.fitterTasks = { fit: null, uncertainty: null };
+        this.fitterWorkerUnavailable = false;
+        this.fitterTaskId = 0;
+
+        // Run in progress of fitCurve (a newer run or cancelFitting bumps the id)
+        this.fitRunId = 0;
+        this.fitInProgress = false;
+
+        // Background bootstrap / Monte Carlo intervals (see runUncertaintyAnalysis)
+        this.uncertaintyRunId = 0;
+
+        // Dilutional linearity / parallelism of samples measured at several dilutions
+        this.dilutionAssessments = [];
+
+        // Technical replicate sets of the samples, with mean, SD and CV (see aggregateSampleReplicates)
+        this.replicateAggregates = [];
+
         // Drag state for well selection
         this.isDragging = false;
         this.dragMode = 'select';
@@ -39,6 +103,128 @@ class ELISAPlateAnalyzer {
         this.init();
     }
 
+    /**
+     * Set the plate format used by every plate
+     * @param {number} format - Well count, a key of PLATE_FORMATS
+     */
+    setPlateGeometry(format) {
+        const { rows, cols } = PLATE_FORMATS[format];
+        this.plateFormat = format;
+        this.rows = Array.from({ length: rows }, (_, i) => String.fromCharCode(65 + i));
+        this.cols = Array.from({ length: cols }, (_, i) => i + 1);
+    }
+
+    /**
+     * Empty every plate and reset its per-plate state; the collection and plate names are kept
+     * @param {number} currentIndex - Plate to show afterwards
+     */
+    resetPlates(currentIndex = 0) {
+        this.plates = this.plates.map(() => this.createEmptyPlate());
+        Object.entries(PLATE_STATE_DEFAULTS).forEach(([key, initial]) => {
+            this[key] = this.plates.map(() => initial);
+        });
+        this.currentPlateIndex = currentIndex;
+        this.plateData = this.plates[currentIndex];
+        this.fittedParams = null;
+        this.replicateAggregates = [];
+        this.dilutionAssessments = [];
+    }
+
+    /**
+     * Switch every plate to another format
+     * Well IDs depend on the geometry, so all plates and their fits are cleared.
+     * @param {number} format - Well count, a key of PLATE_FORMATS
+     * @returns {boolean} false if the user chose to keep the current format
+     */
+    changePlateFormat(format) {
+        if (format === this.plateFormat) return true;
+
+        const hasData = this.plates.some(plate => Object.values(plate).some(w => w.type !== 'empty' || w.absorbance !== null));
+        if (hasData && !confirm(`Switching to ${format}-well plates clears all plates. Continue?`)) return false;
+
+        this.cancelFitting({ quiet: true });
+        this.cancelUncertaintyAnalysis();
+        this.setPlateGeometry(format);
+
+        this.resetPlates(this.currentPlateIndex);
+        this.selectedWells.clear();
+        this.lastSelectedWell = null;
+
+        this.renderPlateTabs();
+        this.renderPlateGrid();
+        this.updateSelectedWellsInfo();
+        this.updateStandardsTable();
+        this.updatePlateTabIndicators();
+        this.updatePlateStatusIndicators();
+        this.updatePlateQCIndicators();
+        this.chartManager.clear();
+        this.clearParameters();
+        this.clearResultsTable();
+        this.updateReferenceCurveControls();
+
+        console.log(`Plate format: ${format} wells (${this.rows.length} x ${this.cols.length})`);
+        return true;
+    }
+
+    /**
+     * Whether a CSV cell is a row label (A, B, ...) of the current plate format
+     */
+    isRowLabel(cell) {
+        return typeof cell === 'string' && this.rows.includes(cell.trim().toUpperCase());
+    }
+
+    /**
+     * Order wells are listed in results and exports: replicate groups of the Replicate Layout
+     * setting one after the other (for horizontal pairs: columns 1-2 top to bottom, then 3-4, ...)
+     * @param {object} plate - Well data by well ID
+     * @returns {string[]} Well IDs
+     */
+    getWellOrder(plate) {
+        const { replicatePattern } = this.getFitSettings();
+        return this.getReplicateGroups(plate, replicatePattern).flat();
+    }
+
+    /**
+     * Technical replicate groups of a plate's wells, in reading order
+     * Block layouts tile the plate: blocks down each column band, bands left to right, so
+     * horizontal pairs read A1 A2 B1 B2 … H1 H2 A3 A4 …. 'name' groups wells with the same
+     * name (first well column-wise decides the order); each unnamed well is a group of its own.
+     * @param {object} plate - Well data by well ID
+     * @param {string} pattern - Key of REPLICATE_PATTERNS
+     * @returns {string[][]} Well IDs of each group
+     */
+    getReplicateGroups(plate, pattern) {
+        const layout = REPLICATE_PATTERNS[pattern] || REPLICATE_PATTERNS['horizontal-pairs'];
+
+        if (layout.byName) {
+            const groups = new Map();
+            this.cols.forEach(col => {
+                this.rows.forEach(row => {
+                    const wellId = `${row}${col}`;
+                    const name = plate[wellId] ? plate[wellId].name : '';
+                    const key = name ? `name:${name}` : `well:${wellId}`;
+                    if (!groups.has(key)) groups.set(key, []);
+                    groups.get(key).push(wellId);
+                });
+            });
+            return Array.from(groups.values());
+        }
+
+        const groups = [];
+        for (let c0 = 0; c0 < this.cols.length; c0 += layout.cols) {
+            for (let r0 = 0; r0 < this.rows.length; r0 += layout.rows) {
+                const group = [];
+                for (let r = r0; r < Math.min(r0 + layout.rows, this.rows.length); r++) {
+                    for (let c = c0; c < Math.min(c0 + layout.cols, this.cols.length); c++) {
+                        group.push(`${this.rows[r]}${this.cols[c]}`);
+                    }
+                }
+                groups.push(group);
+            }
+        }
+        return groups;
+    }
+
     /**
      * Create empty plate data structure
      */
@@ -53,7 +239,9 @@ class ELISAPlateAnalyzer {
                     concentration: null,
                     absorbance: null,
                     dilution: 1,
-                    calculatedConcentration: null
+                    calculatedConcentration: null,
+                    excluded: false,
+                    overflow: false
                 };
             });
         });
@@ -73,9 +261,11 @@ class ELISAPlateAnalyzer {
     init() {
         this.initializePlateData();
         this.renderPlateGrid();
+        this.renderPlateTabs();
         this.setupEventListeners();
         this.setupDragAndDrop();
         this.chartManager = new ChartManager('standardCurveChart');
+        this.residualChartManager = new ResidualChartManager('residualChart', 'standardizedResidualChart');
     }
 
     /**
@@ -91,14 +281,16 @@ class ELISAPlateAnalyzer {
                     concentration: null,
                     absorbance: null,
                     dilution: 1,
-                    calculatedConcentration: null
+                    calculatedConcentration: null,
+                    excluded: false,
+                    overflow: false
                 };
             });
         });
     }
 
     /**
-     * Render the 96-well plate grid (Unified Grid Layout)
+     * Render the plate grid of the current format (Unified Grid Layout)
      */
     renderPlateGrid() {
         const container = document.querySelector('.plate-container');
@@ -106,14 +298,16 @@ class ELISAPlateAnalyzer {
 
         // Create unified grid container
         const grid = document.createElement('div');
-        grid.className = 'plate-grid-unified';
-        grid.id = 'plateGrid'; // Keep ID for event listeners
+        grid.className = `plate-grid-unified format-${this.plateFormat}`;
+        grid.id = 'plateGrid';
+        grid.style.setProperty('--plate-rows', this.rows.length);
+        grid.style.setProperty('--plate-cols', this.cols.length);
 
         // 1. Top-left empty corner
         const corner = document.createElement('div');
         grid.appendChild(corner);
 
-        // 2. Column labels (1-12)
+        // 2. Column labels (1..n)
         this.cols.forEach(col => {
             const label = document.createElement('div');
             label.className = 'grid-label-col';
@@ -123,13 +317,13 @@ class ELISAPlateAnalyzer {
 
         // 3. Rows (Label + Wells)
         this.rows.forEach(row => {
-            // Row Label (A-H)
+            // Row Label (A..)
             const rowLabel = document.createElement('div');
             rowLabel.className = 'grid-label-row';
             rowLabel.textContent = row;
             grid.appendChild(rowLabel);
 
-            // Wells (1-12)
+            // Wells (1..n)
             this.cols.forEach(col => {
                 const wellId = `${row}${col}`;
                 const well = document.createElement('div');
@@ -151,14 +345,14 @@ class ELISAPlateAnalyzer {
      * Setup all event listeners
      */
     setupEventListeners() {
-        // Unified Plate Grid Events
-        const plateGrid = document.getElementById('plateGrid');
+        // Unified Plate Grid Events (on the container: the grid is re-rendered when the plate format changes)
+        const plateContainer = document.querySelector('.plate-container');
 
         // Mouse Down: Start selection or drag
-        plateGrid.addEventListener('mousedown', (e) => this.handleGridMouseDown(e));
+        plateContainer.addEventListener('mousedown', (e) => this.handleGridMouseDown(e));
 
         // Mouse Over: Dragging selection
-        plateGrid.addEventListener('mouseover', (e) => this.handleGridMouseOver(e));
+        plateContainer.addEventListener('mouseover', (e) => this.handleGridMouseOver(e));
 
         // Global Mouse Up: End drag
         document.addEventListener('mouseup', () => this.endDragSelect());
@@ -166,17 +360,48 @@ class ELISAPlateAnalyzer {
         // Clear all button
         document.getElementById('clearAllBtn').addEventListener('click', () => this.clearAll());
 
-        // Plate tabs
-        document.querySelectorAll('.plate-tab').forEach(tab => {
-            tab.addEventListener('click', () => this.switchPlate(parseInt(tab.dataset.plate) - 1));
+        // Plate tabs (rendered from the plate collection, see renderPlateTabs)
+        const plateTabs = document.getElementById('plateTabs');
+        plateTabs.addEventListener('click', (e) => {
+            const tab = e.target.closest('.plate-tab');
+            if (tab) this.switchPlate(parseInt(tab.dataset.plate) - 1);
+        });
+        plateTabs.addEventListener('dblclick', (e) => {
+            const tab = e.target.closest('.plate-tab');
+            if (tab) this.renamePlate(parseInt(tab.dataset.plate) - 1);
         });
+        document.getElementById('plateStatusGrid').addEventListener('click', (e) => {
+            const item = e.target.closest('.plate-status-item');
+            if (item) this.switchPlate(parseInt(item.dataset.plate) - 1);
+        });
+
+        // Well editor
+        document.getElementById('applyWellEditBtn').addEventListener('click', () => this.applyWellEdit());
+        document.getElementById('clearWellsBtn').addEventListener('click', () => this.clearSelectedWells());
+        document.getElementById('wellEditor').addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' && e.target.matches('input, select')) this.applyWellEdit();
+        });
+
+        // Plate collection actions, applied to the current plate
+        document.getElementById('addPlateBtn').addEventListener('click', () => this.addPlate());
+        document.getElementById('renamePlateBtn').addEventListener('click', () => this.renamePlate(this.currentPlateIndex));
+        document.getElementById('duplicatePlateBtn').addEventListener('click', () => this.duplicatePlate(this.currentPlateIndex));
+        document.getElementById('movePlateLeftBtn').addEventListener('click', () => this.movePlate(this.currentPlateIndex, -1));
+        document.getElementById('movePlateRightBtn').addEventListener('click', () => this.movePlate(this.currentPlateIndex, 1));
+        document.getElementById('removePlateBtn').addEventListener('click', () => this.removePlate(this.currentPlateIndex));
 
         // Fit curve button
-        document.getElementById('fitCurveBtn').addEventListener('click', () => this.fitCurve());
+        document.getElementById('fitCurveBtn').addEventListener('click', () => (this.fitInProgress ? this.cancelFitting() : this.fitCurve()));
 
         // Export results
         document.getElementById('exportResultsBtn').addEventListener('click', () => this.exportResults());
 
+        // Reference curve library
+        document.getElementById('saveReferenceCurveBtn').addEventListener('click', () => this.saveReferenceCurve());
+        document.getElementById('assignReferenceCurveBtn').addEventListener('click', () => this.assignReferenceCurve());
+        document.getElementById('deleteReferenceCurveBtn').addEventListener('click', () => this.deleteReferenceCurve());
+        this.updateReferenceCurveControls();
+
         // Settings Modal
         const settingsModal = document.getElementById('settingsModal');
         const settingsBtn = document.getElementById('settingsBtn');
@@ -185,6 +410,9 @@ class ELISAPlateAnalyzer {
 
         if (settingsBtn) {
             settingsBtn.addEventListener('click', () => {
+                const formatEl = document.getElementById('settingPlateFormat');
+                if (formatEl) formatEl.value = this.plateFormat;
+                this.loadConstraintInputs();
                 settingsModal.style.display = 'block';
             });
         }
@@ -203,6 +431,19 @@ class ELISAPlateAnalyzer {
 
         if (applySettingsBtn) {
             applySettingsBtn.addEventListener('click', () => {
+                const formatEl = document.getElementById('settingPlateFormat');
+                const format = formatEl ? parseInt(formatEl.value) : this.plateFormat;
+                if (format !== this.plateFormat) {
+                    // New geometry, empty plates: nothing to fit yet
+                    if (!this.changePlateFormat(format)) {
+                        formatEl.value = this.plateFormat;
+                        return;
+                    }
+                    this.saveConstraintInputs();
+                    settingsModal.style.display = 'none';
+                    return;
+                }
+                if (!this.saveConstraintInputs()) return;
                 settingsModal.style.display = 'none';
                 this.fitCurve();
             });
@@ -247,13 +488,13 @@ class ELISAPlateAnalyzer {
 
         // Plate size slider
         const sizeSlider = document.getElementById('plateSizeSlider');
-        const plateContainer = document.querySelector('.plate-grid-unified');
         const sizeVal = document.getElementById('plateSizeVal');
 
-        if (sizeSlider && plateContainer) {
+        if (sizeSlider) {
             sizeSlider.addEventListener('input', (e) => {
                 const width = e.target.value;
-                plateContainer.style.minWidth = `${width}px`;
+                const grid = document.querySelector('.plate-grid-unified');
+                if (grid) grid.style.minWidth = `${width}px`;
                 // Calculate percentage roughly based on default 700px
                 const percentage = Math.round((width / 700) * 100);
                 if (sizeVal) sizeVal.textContent = `${percentage}%`;
@@ -268,16 +509,13 @@ class ELISAPlateAnalyzer {
      * Switch to a different plate for preview
      */
     switchPlate(plateIndex) {
-        if (plateIndex < 0 || plateIndex >= 10) return;
+        if (plateIndex < 0 || plateIndex >= this.plates.length) return;
 
         this.currentPlateIndex = plateIndex;
         this.plateData = this.plates[plateIndex];
 
         // Update tabs
-        document.querySelectorAll('.plate-tab').forEach(tab => {
-            const tabIndex = parseInt(tab.dataset.plate) - 1;
-            tab.classList.toggle('active', tabIndex === plateIndex);
-        });
+        this.renderPlateTabs();
 
         // Update parameters display for this plate
         this.fittedParams = this.plateParams[plateIndex];
@@ -292,6 +530,8 @@ class ELISAPlateAnalyzer {
         // Refresh display
         this.refreshPlateDisplay();
         this.updateStandardsTable();
+        this.updateSelectedWellsInfo();
+        this.updateReferenceCurveControls();
     }
 
     /**
@@ -312,16 +552,29 @@ class ELISAPlateAnalyzer {
                 y: data.absorbance
             }));
 
-        if (standardsData.length < 2) return;
+        // A reference curve may stand in for a plate with fewer standards: span its quantitation range
+        let concs = standardsData.map(d => d.x);
+        const limits = this.fittedParams.limits;
+        if (concs.length < 2 && this.fittedParams.referenceCurve && limits && limits.lloq && limits.uloq) {
+            concs = [limits.lloq, limits.uloq];
+        }
+        if (concs.length < 2) {
+            this.chartManager.clear();
+            return;
+        }
 
-        const minConc = Math.min(...standardsData.map(d => d.x)) * 0.5;
-        const maxConc = Math.max(...standardsData.map(d => d.x)) * 2;
+        const minConc = Math.min(...concs) * 0.5;
+        const maxConc = Math.max(...concs) * 2;
         const curvePoints = this.curveFitter.generateCurvePoints(minConc, maxConc, 100, this.fittedParams);
 
         this.chartManager.updateAll({
             standards: standardsData,
             curvePoints: curvePoints
         });
+
+        if (this.residualChartManager) {
+            this.residualChartManager.update(this.fittedParams.residuals || []);
+        }
     }
 
     /**
@@ -336,6 +589,190 @@ class ELISAPlateAnalyzer {
         });
     }
 
+    /**
+     * Display name of a plate
+     */
+    getPlateLabel(plateIndex) {
+        return this.plateNames[plateIndex] || `Plate ${plateIndex + 1}`;
+    }
+
+    /**
+     * Well identifier used in the results, e.g. "Plate 1 A3"
+     */
+    getResultWellId(plateIndex, wellId) {
+        return `${this.getPlateLabel(plateIndex)} ${wellId}`;
+    }
+
+    /**
+     * First "Plate N" name, N counting up from the plate's position, not taken by another plate
+     */
+    getDefaultPlateName(plateIndex) {
+        let n = plateIndex + 1;
+        while (this.plateNames.includes(`Plate ${n}`)) n++;
+        return `Plate ${n}`;
+    }
+
+    /**
+     * Render the plate tabs and the import status grid from the plate collection
+     */
+    renderPlateTabs() {
+        const tabs = document.getElementById('plateTabs');
+        const statusGrid = document.getElementById('plateStatusGrid');
+        tabs.innerHTML = '';
+        statusGrid.innerHTML = '';
+
+        // Names are user input: set as text, not markup
+        this.plates.forEach((_, i) => {
+            const tab = document.createElement('button');
+            tab.className = `plate-tab${i === this.currentPlateIndex ? ' active' : ''}`;
+            tab.dataset.plate = i + 1;
+            tab.textContent = this.getPlateLabel(i);
+            tabs.appendChild(tab);
+
+            const statusItem = document.createElement('div');
+            statusItem.className = 'plate-status-item';
+            statusItem.dataset.plate = i + 1;
+            statusItem.innerHTML = '<span class="status-dot"></span>';
+            statusItem.appendChild(document.createTextNode(this.getPlateLabel(i)));
+            statusGrid.appendChild(statusItem);
+        });
+
+        document.getElementById('removePlateBtn').disabled = this.plates.length <= 1;
+        document.getElementById('movePlateLeftBtn').disabled = this.currentPlateIndex === 0;
+        document.getElementById('movePlateRightBtn').disabled = this.currentPlateIndex === this.plates.length - 1;
+
+        this.updatePlateTabIndicators();
+        this.updatePlateStatusIndicators();
+        this.updatePlateQCIndicators();
+    }
+
+    /**
+     * Rebuild the plate collection and all per-plate state in a new order
+     * A plate listed twice is duplicated: the copy gets the wells, but default settings and no fit.
+     * @param {Array<number|null>} order - For each new position, the current index of the plate to
+     *   put there, or null for a new empty plate
+     * @param {number} currentIndex - Position of the plate to show afterwards
+     */
+    applyPlateOrder(order, currentIndex) {
+        // Running fits and resampling refer to plates by their old position
+        this.cancelFitting({ quiet: true });
+        this.cancelUncertaintyAnalysis();
+
+        const seen = new Set();
+        const isCopy = order.map(from => {
+            const copy = from !== null && seen.has(from);
+            if (from !== null) seen.add(from);
+            return copy;
+        });
+        const isNew = k => order[k] === null || isCopy[k];
+
+        this.plates = order.map((from, k) => {
+            if (from === null) return this.createEmptyPlate();
+            return isCopy[k] ? JSON.parse(JSON.stringify(this.plates[from])) : this.plates[from];
+        });
+        Object.entries(PLATE_STATE_DEFAULTS).forEach(([key, initial]) => {
+            const values = this[key];
+            this[key] = order.map((from, k) => (isNew(k) ? initial : values[from]));
+        });
+        const names = this.plateNames;
+        this.plateNames = order.map((from, k) => (isNew(k) ? null : names[from]));
+        this.plateNames.forEach((name, k) => {
+            if (name === null) this.plateNames[k] = this.getDefaultPlateName(k);
+        });
+
+        // Global fit summaries list their plates by position
+        new Set(this.plateParams.filter(p => p && p.globalFit).map(p => p.globalFit)).forEach(summary => {
+            summary.plates = summary.plates.map(i => order.indexOf(i)).filter(i => i !== -1);
+        });
+
+        this.currentPlateIndex = Math.max(0, Math.min(currentIndex, this.plates.length - 1));
+        this.plateData = this.plates[this.currentPlateIndex];
+        this.selectedWells.clear();
+        this.lastSelectedWell = null;
+
+        // Result rows refer to plates by position as well
+        if (this.plateParams.some(p => p !== null)) {
+            this.updateCalculations();
+        } else {
+            this.clearResultsTable();
+        }
+        this.switchPlate(this.currentPlateIndex);
+    }
+
+    /**
+     * Append an empty plate and show it
+     */
+    addPlate() {
+        const order = this.plates.map((_, i) => i);
+        order.push(null);
+        this.applyPlateOrder(order, order.length - 1);
+    }
+
+    /**
+     * Insert a copy of a plate's wells and settings after it
+     * The copy is not fitted until the next Fit Curve.
+     */
+    duplicatePlate(plateIndex) {
+        const order = this.plates.map((_, i) => i);
+        order.splice(plateIndex + 1, 0, plateIndex);
+        const copyIndex = plateIndex + 1;
+
+        const base = `${this.getPlateLabel(plateIndex)} (copy`;
+        let name = `${base})`;
+        for (let n = 2; this.plateNames.includes(name); n++) name = `${base} ${n})`;
+        const settings = ['plateConstraints', 'plateRobustLoss', 'plateReferenceAssignments']
+            .map(key => [key, JSON.parse(JSON.stringify(this[key][plateIndex]))]);
+
+        this.applyPlateOrder(order, copyIndex);
+        this.plateNames[copyIndex] = name;
+        settings.forEach(([key, value]) => { this[key][copyIndex] = value; });
+        this.renderPlateTabs();
+        this.updateReferenceCurveControls();
+    }
+
+    /**
+     * Remove a plate, its fit and settings
+     */
+    removePlate(plateIndex) {
+        if (this.plates.length <= 1) return;
+        const hasData = Object.values(this.plates[plateIndex]).some(w => w.type !== 'empty' || w.absorbance !== null);
+        if (hasData && !confirm(`Remove ${this.getPlateLabel(plateIndex)} and its data?`)) return;
+
+        const order = this.plates.map((_, i) => i).filter(i => i !== plateIndex);
+        this.applyPlateOrder(order, Math.min(plateIndex, order.length - 1));
+    }
+
+    /**
+     * Rename a plate (prompts for the name)
+     */
+    renamePlate(plateIndex) {
+        const name = prompt('Plate name:', this.getPlateLabel(plateIndex));
+        if (name === null) return;
+        const trimmed = name.trim();
+        if (!trimmed) return;
+        if (this.plateNames.some((other, i) => i !== plateIndex && other === trimmed)) {
+            alert(`A plate named "${trimmed}" already exists.`);
+            return;
+        }
+
+        this.plateNames[plateIndex] = trimmed;
+        this.renderPlateTabs();
+        if (this.fittedParams) this.displayParameters(this.fittedParams, this.fittedParams.rSquared);
+    }
+
+    /**
+     * Move a plate one position left (-1) or right (+1)
+     */
+    movePlate(plateIndex, offset) {
+        const target = plateIndex + offset;
+        if (target < 0 || target >= this.plates.length) return;
+
+        const order = this.plates.map((_, i) => i);
+        order.splice(plateIndex, 1);
+        order.splice(target, 0, plateIndex);
+        this.applyPlateOrder(order, target);
+    }
+
     /**
      * Handle Mouse Down on Grid
      */
@@ -459,18 +896,133 @@ class ELISAPlateAnalyzer {
     }
 
     /**
-     * Update selected wells count display
+     * Update selected wells count display and the well editor
      */
     updateSelectedWellsInfo() {
         document.getElementById('selectedWellsCount').textContent = this.selectedWells.size;
+        this.updateEditorFromSelection();
+    }
+
+    /**
+     * Inputs of the well editor, by well property
+     */
+    getWellEditorInputs() {
+        return {
+            type: document.getElementById('wellTypeInput'),
+            name: document.getElementById('wellNameInput'),
+            concentration: document.getElementById('wellConcentrationInput'),
+            dilution: document.getElementById('wellDilutionInput')
+        };
+    }
+
+    /**
+     * Load the selected wells of the current plate into the well editor
+     * Each field shows the value the wells share, or stays blank (marked mixed) when they differ.
+     * The loaded values are kept so applyWellEdit only writes the fields the user changed.
+     */
+    updateEditorFromSelection() {
+        const wellIds = Object.keys(this.plateData).filter(wellId => this.selectedWells.has(wellId));
+        const wells = wellIds.map(wellId => this.plateData[wellId]);
+        const inputs = this.getWellEditorInputs();
+
+        this.wellEditorValues = {};
+        Object.entries(inputs).forEach(([key, input]) => {
+            const values = new Set(wells.map(data => data[key]));
+            const shared = values.size === 1 ? [...values][0] : null;
+            const value = shared === null || shared === undefined ? '' : String(shared);
+            input.value = value;
+            if (input.tagName === 'INPUT') input.placeholder = values.size > 1 ? '(mixed)' : '';
+            this.wellEditorValues[key] = value;
+        });
+
+        const shown = wellIds.slice(0, 12).join(' ');
+        document.getElementById('selectedWellsList').textContent = wellIds.length > 12 ? `${shown} …` : shown;
+        document.getElementById('applyWellEditBtn').disabled = wellIds.length === 0;
+        document.getElementById('clearWellsBtn').disabled = wellIds.length === 0;
+    }
+
+    /**
+     * Write the well editor's changed fields to every selected well, then refit
+     * As on import, only standards keep a nominal concentration and blanks are 0.
+     */
+    applyWellEdit() {
+        const wellIds = Object.keys(this.plateData).filter(wellId => this.selectedWells.has(wellId));
+        if (wellIds.length === 0) {
+            alert('No wells selected. Please select wells to edit.');
+            return;
+        }
+
+        const inputs = this.getWellEditorInputs();
+        const initial = this.wellEditorValues || {};
+        const changes = {};
+
+        if (inputs.type.value && inputs.type.value !== initial.type) {
+            changes.type = inputs.type.value;
+        }
+        if (inputs.name.value !== initial.name) {
+            changes.name = inputs.name.value.trim();
+        }
+        if (inputs.concentration.value !== initial.concentration) {
+            const concentration = inputs.concentration.value === '' ? null : parseFloat(inputs.concentration.value);
+            if (concentration !== null && (isNaN(concentration) || concentration < 0)) {
+                alert('Standard concentration must be a number of at least 0.');
+                return;
+            }
+            changes.concentration = concentration;
+        }
+        if (inputs.dilution.value !== initial.dilution) {
+            const dilution = parseFloat(inputs.dilution.value);
+            if (isNaN(dilution) || dilution <= 0) {
+                alert('Dilution must be a positive number.');
+                return;
+            }
+            changes.dilution = dilution;
+        }
+        if (Object.keys(changes).length === 0) return;
+
+        const missing = wellIds.filter(wellId => {
+            const data = this.plateData[wellId];
+            const type = changes.type || data.type;
+            const concentration = 'concentration' in changes ? changes.concentration : data.concentration;
+            return type === 'standard' && concentration === null;
+        });
+        if (missing.length > 0) {
+            alert(`Standards need a concentration: ${missing.join(', ')}`);
+            return;
+        }
+
+        const settings = this.getFitSettings();
+        wellIds.forEach(wellId => {
+            const data = this.plateData[wellId];
+            Object.assign(data, changes);
+            if (data.type === 'blank') {
+                data.concentration = 0;
+            } else if (data.type !== 'standard') {
+                data.concentration = null;
+            }
+            this.updateWellAppearance(wellId, settings);
+        });
+        console.log(`Edited ${wellIds.length} wells on ${this.getPlateLabel(this.currentPlateIndex)}:`, changes);
+
+        this.updatePlateTabIndicators();
+        this.updatePlateStatusIndicators();
+        this.updateEditorFromSelection();
+
+        if (this.plateParams.some(p => p !== null)) {
+            this.fitCurve({ silent: true });
+        } else {
+            this.updateStandardsTable();
+        }
     }
 
 
 
     /**
      * Update well appearance based on data
+     * @param {string} wellId - Well ID
+     * @param {object} settings - Settings from getFitSettings (pass them when updating many wells)
      */
-    updateWellAppearance(wellId) {
+    updateWellAppearance(wellId, settings = this.getFitSettings()) {
         const well = document.getElementById(`well-${wellId}`);
         const data = this.plateData[wellId];
 
@@ -480,11 +1032,22 @@ class ELISAPlateAnalyzer {
             well.classList.add(data.type);
         }
 
+        const exclusion = this.getWellExclusion(wellId);
+        well.classList.toggle('excluded', exclusion !== null);
+
+        const signal = this.getWellSignalFlag(wellId, this.currentPlateIndex, settings);
+        ['overflow', 'saturated', 'hook', 'above-top-standard'].forEach(flag => {
+            well.classList.toggle(`signal-${flag}`, signal === flag);
+        });
+
         // Set hover tooltip
         const tooltipParts = [];
         if (data.name) tooltipParts.push(`Name: ${data.name}`);
         if (data.absorbance !== null) tooltipParts.push(`OD: ${data.absorbance.toFixed(4)}`);
+        if (data.overflow) tooltipParts.push('OD: reader overflow');
         if (data.concentration !== null) tooltipParts.push(`Conc: ${data.concentration.toFixed(3)}`);
+        if (exclusion) tooltipParts.push(`Excluded from fit: ${exclusion}`);
+        if (signal) tooltipParts.push(`Signal: ${this.formatSignalFlag(signal)}`);
         well.title = tooltipParts.join('\n');
 
         well.innerHTML = '';
@@ -493,6 +1056,84 @@ class ELISAPlateAnalyzer {
         }
         if (data.absorbance !== null) {
             well.innerHTML += `<span class="od-value">${data.absorbance.toFixed(4)}</span>`;
+        } else if (data.overflow) {
+            well.innerHTML += '<span class="od-value">OVRFLW</span>';
+        }
+    }
+
+    /**
+     * Why a well is excluded from the curve fit
+     * Manual exclusions live on the well data; detected outliers on the plate's fit result.
+     * @param {string} wellId - Well ID
+     * @param {number} plateIndex - Plate index (defaults to the current plate)
+     * @returns {string|null} Exclusion reason, or null if the well is used
+     */
+    getWellExclusion(wellId, plateIndex = this.currentPlateIndex) {
+        const data = this.plates[plateIndex] ? this.plates[plateIndex][wellId] : null;
+        if (!data) return null;
+        if (data.excluded) return 'Manual';
+
+        const params = this.plateParams[plateIndex];
+        if (params && params.exclusions && params.exclusions[wellId]) {
+            return params.exclusions[wellId];
+        }
+        return null;
+    }
+
+    /**
+     * Reader overflow, saturation, hook effect or out-of-curve signal of a well
+     * Hook and out-of-curve flags need the plate's standards checks from fitCurve.
+     * @param {string} wellId - Well ID
+     * @param {number} plateIndex - Plate index
+     * @param {object} settings - Settings from getFitSettings, read once per render by the caller
+     * @returns {string|null} 'overflow' | 'saturated' | 'hook' | 'above-top-standard' | null
+     */
+    getWellSignalFlag(wellId, plateIndex, settings) {
+        const data = this.plates[plateIndex] ? this.plates[plateIndex][wellId] : null;
+        if (!data || data.type === 'empty') return null;
+        if (data.overflow) return 'overflow';
+        if (data.absorbance === null) return null;
+
+        if (data.absorbance >= settings.saturationOD) return 'saturated';
+
+        const checks = this.plateSignalChecks[plateIndex];
+        if (!checks) return null;
+        if (checks.hookWellIds.includes(wellId)) return 'hook';
+        if (data.type === 'sample' && checks.topStandardOD !== null &&
+            checks.direction * (data.absorbance - checks.minOD - checks.topStandardOD) > 0) {
+            return 'above-top-standard';
+        }
+        return null;
+    }
+
+    /**
+     * Display label of a well signal flag
+     */
+    formatSignalFlag(flag) {
+        const labels = {
+            overflow: 'Overflow',
+            saturated: 'Saturated',
+            hook: 'Hook effect',
+            'above-top-standard': 'Beyond top std OD'
+        };
+        return labels[flag] || '';
+    }
+
+    /**
+     * Toggle the manual "exclude from fit" flag of a standard well and refit
+     */
+    toggleWellExclusion(wellId, excluded) {
+        const data = this.plateData[wellId];
+        if (!data) return;
+
+        data.excluded = excluded;
+        console.log(`Well ${wellId} ${excluded ? 'excluded from' : 'included in'} fit`);
+
+        if (this.plateParams.some(p => p !== null)) {
+            this.fitCurve({ silent: true });
+        } else {
+            this.updateWellAppearance(wellId);
+            this.updateStandardsTable();
         }
     }
 
@@ -503,13 +1144,9 @@ class ELISAPlateAnalyzer {
         const tbody = document.getElementById('standardsTableBody');
         tbody.innerHTML = '';
 
-        // Check if we should subtract minimum OD
-        const subtractMinEl = document.getElementById('settingSubtractMin');
-        const subtractMin = subtractMinEl ? subtractMinEl.checked : true;
-
-        // Include blanks as concentration 0 standards
-        const blankAsStdEl = document.getElementById('settingBlankAsStandard');
-        const blankAsStandard = blankAsStdEl ? blankAsStdEl.checked : true;
+        // Check if we should subtract minimum OD, and include blanks as concentration 0 standards
+        const settings = this.getFitSettings();
+        const { subtractMin, blankAsStandard } = settings;
 
         // Collect all standard points (including blanks if setting is on)
         const standardsRaw = [];
@@ -523,8 +1160,14 @@ class ELISAPlateAnalyzer {
 
         standardsRaw.sort((a, b) => a[2] - b[2]);
 
+        const qcSummary = document.getElementById('standardsQcSummary');
+        if (qcSummary) {
+            qcSummary.textContent = '';
+            qcSummary.className = 'standards-qc-summary';
+        }
+
         if (standardsRaw.length === 0) {
-            tbody.innerHTML = '<tr><td colspan="4" style="text-align: center; color: var(--text-muted);">No standards defined</td></tr>';
+            tbody.innerHTML = '<tr><td colspan="9" style="text-align: center; color: var(--text-muted);">No standards defined</td></tr>';
             return;
         }
 
@@ -533,7 +1176,7 @@ class ELISAPlateAnalyzer {
         if (subtractMin) {
             let minVal = Infinity;
             standardsRaw.forEach(([_, data]) => {
-                if (data.absorbance !== null && data.absorbance < minVal) {
+                if (!data.excluded && data.absorbance !== null && data.absorbance < minVal) {
                     minVal = data.absorbance;
                 }
             });
@@ -542,8 +1185,8 @@ class ELISAPlateAnalyzer {
 
         // Calculate means for each concentration (with correction applied)
         const concGroups = {};
-        standardsRaw.forEach(([_, data, conc]) => {
-            if (data.absorbance !== null) {
+        standardsRaw.forEach(([wellId, data, conc]) => {
+            if (data.absorbance !== null && this.getWellExclusion(wellId) === null) {
                 if (!concGroups[conc]) concGroups[conc] = [];
                 concGroups[conc].push(data.absorbance - minOD);
             }
@@ -555,25 +1198,65 @@ class ELISAPlateAnalyzer {
             means[conc] = values.reduce((a, b) => a + b, 0) / values.length;
         });
 
+        // Back-calculated recovery per well and level (only once this plate has a curve)
+        const params = this.plateParams ? this.plateParams[this.currentPlateIndex] : null;
+        const backCalcByWell = {};
+        const levelByConc = {};
+        if (params) {
+            const fitMinOD = this.plateMinODs ? this.plateMinODs[this.currentPlateIndex] : 0;
+            const levels = this.calculateStandardRecovery(this.plateData, params, fitMinOD);
+            const passes = this.evaluateStandardLevels(levels);
+            levels.forEach((level, idx) => {
+                levelByConc[level.conc] = { ...level, passed: passes[idx] };
+                level.wells.forEach(w => {
+                    backCalcByWell[w.wellId] = w.backCalc;
+                });
+            });
+
+            if (qcSummary && params.qc) {
+                const { passed, levelsPassed, levelsTotal } = params.qc;
+                qcSummary.textContent = `${passed ? '✓ PASS' : '✗ FAIL'}: ${levelsPassed}/${levelsTotal} standard levels within acceptance criteria`;
+                qcSummary.classList.add(passed ? 'pass' : 'fail');
+            }
+        }
+
         standardsRaw.forEach(([wellId, data, conc]) => {
             const correctedAbs = data.absorbance !== null ? data.absorbance - minOD : null;
             const meanVal = means[conc];
+            const backCalc = backCalcByWell[wellId];
+            const level = levelByConc[conc];
+            const failClass = level && !level.passed ? ' class="qc-fail-cell"' : '';
+            const exclusion = this.getWellExclusion(wellId);
+            const signal = this.getWellSignalFlag(wellId, this.currentPlateIndex, settings);
+            const robustWeight = exclusion ? null : this.getRobustWeight(params, wellId, conc);
 
             const row = document.createElement('tr');
+            if (exclusion) row.classList.add('excluded-row');
             row.innerHTML = `
-                <td>${wellId}</td>
+                <td>${wellId}${signal ? ` <span class="flag-badge signal-${signal}">${this.formatSignalFlag(signal)}</span>` : ''}</td>
                 <td>${conc} ng/mL</td>
-                <td>${correctedAbs !== null ? correctedAbs.toFixed(4) : '-'}</td>
+                <td>${correctedAbs !== null ? correctedAbs.toFixed(4) : (data.overflow ? 'OVRFLW' : '-')}</td>
                 <td>${meanVal !== undefined ? meanVal.toFixed(4) : '-'}</td>
+                <td>${backCalc !== undefined && backCalc !== null ? backCalc.toFixed(3) : '-'}</td>
+                <td${failClass}>${level && level.recovery !== null ? level.recovery.toFixed(1) + '%' : '-'}</td>
+                <td${failClass}>${level && level.cv !== null ? level.cv.toFixed(1) + '%' : '-'}</td>
+                <td${robustWeight !== null && robustWeight < 0.5 ? ' class="downweighted"' : ''}>${robustWeight !== null ? robustWeight.toFixed(3) : '-'}</td>
+                <td>
+                    <input type="checkbox" class="exclude-toggle" title="Exclude from fit" ${data.excluded ? 'checked' : ''}>
+                    ${exclusion && exclusion !== 'Manual' ? `<span class="exclusion-reason">${exclusion}</span>` : ''}
+                </td>
             `;
+            row.querySelector('.exclude-toggle').addEventListener('change', (e) => {
+                this.toggleWellExclusion(wellId, e.target.checked);
+            });
             tbody.appendChild(row);
         });
     }
 
     /**
      * Handle Well Names CSV import
-     * CSV format: 96-well plate layout (8 rows x 12 columns)
-     * First column can be row labels (A-H), first row can be column labels (1-12)
+     * CSV format: plate layout of the current format (e.g. 8 rows x 12 columns for 96 wells)
+     * First column can be row labels (A, B, ...), first row can be column labels (1, 2, ...)
      */
     handleNamesCsvImport(e) {
         const file = e.target.files[0];
@@ -583,6 +1266,7 @@ class ELISAPlateAnalyzer {
         reader.onload = (event) => {
             try {
                 const data = this.parsePlateLayoutCsv(event.target.result);
+                const settings = this.getFitSettings();
 
                 // Apply names to plate data
                 this.rows.forEach((row, rowIdx) => {
@@ -623,7 +1307,7 @@ class ELISAPlateAnalyzer {
                                     this.plateData[wellId].type = 'sample';
                                 }
                             }
-                            this.updateWellAppearance(wellId);
+                            this.updateWellAppearance(wellId, settings);
                         }
                     });
                 });
@@ -647,7 +1331,7 @@ class ELISAPlateAnalyzer {
 
     /**
      * Handle Absorbance CSV import
-     * CSV format: 96-well plate layout (8 rows x 12 columns)
+     * CSV format: plate layout of the current format (e.g. 8 rows x 12 columns for 96 wells)
      */
     handleAbsCsvImport(e) {
         const file = e.target.files[0];
@@ -657,6 +1341,7 @@ class ELISAPlateAnalyzer {
         reader.onload = (event) => {
             try {
                 const data = this.parsePlateLayoutCsv(event.target.result);
+                const settings = this.getFitSettings();
 
                 // Apply absorbance values to plate data
                 this.rows.forEach((row, rowIdx) => {
@@ -664,10 +1349,10 @@ class ELISAPlateAnalyzer {
                         const wellId = `${row}${col}`;
                         const value = data[rowIdx]?.[colIdx];
                         if (value !== undefined && value !== null && value !== '') {
-                            const absValue = parseFloat(value);
-                            if (!isNaN(absValue)) {
-                                this.plateData[wellId].absorbance = absValue;
-                                this.updateWellAppearance(wellId);
+                            const reading = this.parseAbsorbanceValue(value);
+                            if (reading) {
+                                Object.assign(this.plateData[wellId], reading);
+                                this.updateWellAppearance(wellId, settings);
                             }
                         }
                     });
@@ -696,7 +1381,7 @@ class ELISAPlateAnalyzer {
     }
 
     /**
-     * Parse CSV in plate layout format (8 rows x 12 columns)
+     * Parse CSV in plate layout format (rows x columns of the current plate format)
      * Automatically detects and skips row/column labels
      */
     parsePlateLayoutCsv(csvText) {
@@ -712,11 +1397,14 @@ class ELISAPlateAnalyzer {
             return line.split(/[,\t]/).map(cell => cell.trim());
         });
 
-        // Detect if first row is column labels (1-12 or similar)
+        const rowCount = this.rows.length;
+        const colCount = this.cols.length;
+
+        // Detect if first row is column labels (1, 2, ... or similar)
         const firstRow = allRows[0];
-        if (firstRow && (firstRow[0] === '' || /^[A-Ha-h]$/.test(firstRow[0]))) {
+        if (firstRow && (firstRow[0] === '' || this.isRowLabel(firstRow[0]))) {
             // First cell is empty or a row label - check if rest are numbers
-            const potentialLabels = firstRow.slice(1, 13);
+            const potentialLabels = firstRow.slice(1, colCount + 1);
             const areNumbers = potentialLabels.every((cell, idx) => {
                 const num = parseInt(cell);
                 return !isNaN(num) && num === idx + 1;
@@ -726,22 +1414,22 @@ class ELISAPlateAnalyzer {
             }
         }
 
-        // Detect if first column is row labels (A-H)
+        // Detect if first column is row labels (A, B, ...)
         const firstColValues = allRows.slice(startRow).map(row => row[0]);
-        const areRowLabels = firstColValues.length >= 8 &&
-            firstColValues.slice(0, 8).every((val, idx) =>
+        const areRowLabels = firstColValues.length >= rowCount &&
+            firstColValues.slice(0, rowCount).every((val, idx) =>
                 val && val.toUpperCase() === this.rows[idx]
             );
         if (areRowLabels) {
             startCol = 1;
         }
 
-        // Extract 8x12 data matrix
-        for (let r = 0; r < 8; r++) {
+        // Extract rows x columns data matrix
+        for (let r = 0; r < rowCount; r++) {
             const rowData = [];
             const sourceRow = allRows[startRow + r];
             if (sourceRow) {
-                for (let c = 0; c < 12; c++) {
+                for (let c = 0; c < colCount; c++) {
                     rowData.push(sourceRow[startCol + c] || '');
                 }
             }
@@ -757,13 +1445,12 @@ class ELISAPlateAnalyzer {
     clearAll() {
         if (!confirm('Are you sure you want to clear all data from all plates?')) return;
 
-        // Reset all plates
-        for (let i = 0; i < 10; i++) {
-            this.plates[i] = this.createEmptyPlate();
-        }
-        this.plateData = this.plates[0];
-        this.fittedParams = null;
-        this.currentPlateIndex = 0;
+        // A fit or resampling run still in the worker would write its results onto the cleared plates
+        // (cancelFitting also moves fitRunId on, so a run between worker calls stops as well)
+        this.cancelFitting({ quiet: true });
+        this.cancelUncertaintyAnalysis();
+
+        this.resetPlates();
 
         // Reset UI for current plate display
         Object.keys(this.plateData).forEach(wellId => {
@@ -775,6 +1462,7 @@ class ELISAPlateAnalyzer {
         });
 
         this.selectedWells.clear();
+        this.refreshPlateDisplay();
         this.updateSelectedWellsInfo();
         this.updateStandardsTable();
         this.chartManager.clear();
@@ -787,13 +1475,9 @@ class ELISAPlateAnalyzer {
         if (statusEl) statusEl.textContent = 'Ready to import';
         if (masterZone) masterZone.classList.remove('loaded');
 
-        // Reset plate status indicators
-        document.querySelectorAll('.plate-status-item').forEach(item => {
-            item.classList.remove('active');
-        });
-
-        // Update plate tabs
-        this.updatePlateTabIndicators();
+        // Reset plate tabs and status indicators
+        this.renderPlateTabs();
+        this.updateReferenceCurveControls();
 
         // Clear sample charts
         const chartsContainer = document.getElementById('sampleChartsContainer');
@@ -802,43 +1486,112 @@ class ELISAPlateAnalyzer {
         }
     }
 
+    /**
+     * Read analysis settings from the Settings modal
+     * @returns {object} {model, weighting, subtractMin, blankAsStandard, fitReplicates, outlierMethod, autoSelectModel,
+     *                   recoveryTolerance, lloqTolerance, cvLimit, minLevelsPass, includeFlagged, globalFit, sharedParams,
+     *                   replicatePattern, replicateCvLimit, dilutionCvLimit, parallelismAlpha, saturationOD, dropSaturated, dropHook,
+     *                   uncertaintyMethod, uncertaintyIterations}
+     */
+    getFitSettings() {
+        const modelEl = document.getElementById('settingModel');
+        const weightingEl = document.getElementById('settingWeighting');
+        const subtractMinEl = document.getElementById('settingSubtractMin');
+        const blankAsStdEl = document.getElementById('settingBlankAsStandard');
+        const fitReplicatesEl = document.getElementById('settingFitReplicates');
+        const outlierMethodEl = document.getElementById('settingOutlierMethod');
+        const autoSelectModelEl = document.getElementById('settingAutoSelectModel');
+        const recoveryTolEl = document.getElementById('settingRecoveryTolerance');
+        const lloqTolEl = document.getElementById('settingLloqTolerance');
+        const cvLimitEl = document.getElementById('settingCvLimit');
+        const minLevelsPassEl = document.getElementById('settingMinLevelsPass');
+        const includeFlaggedEl = document.getElementById('settingIncludeFlagged');
+        const globalFitEl = document.getElementById('settingGlobalFit');
+        const replicatePatternEl = document.getElementById('settingReplicatePattern');
+        const replicateCvLimitEl = document.getElementById('settingReplicateCvLimit');
+        const dilutionCvLimitEl = document.getElementById('settingDilutionCvLimit');
+        const parallelismAlphaEl = document.getElementById('settingParallelismAlpha');
+        const saturationODEl = document.getElementById('settingSaturationOD');
+        const dropSaturatedEl = document.getElementById('settingDropSaturated');
+        const dropHookEl = document.getElementById('settingDropHook');
+        const uncertaintyMethodEl = document.getElementById('settingUncertaintyMethod');
+        const uncertaintyIterationsEl = document.getElementById('settingUncertaintyIterations');
+        const sharedParams = ['A', 'B', 'C', 'D', 'E'].filter(name => {
+            const el = document.getElementById(`settingShare${name}`);
+            return el ? el.checked : ['A', 'B', 'D'].includes(name);
+        });
+
+        return {
+            model: modelEl ? modelEl.value : '4PL',
+            weighting: weightingEl ? weightingEl.value : 'none',
+            subtractMin: subtractMinEl ? subtractMinEl.checked : false,
+            blankAsStandard: blankAsStdEl ? blankAsStdEl.checked : true,
+            fitReplicates: fitReplicatesEl ? fitReplicatesEl.checked : false,
+            outlierMethod: outlierMethodEl ? outlierMethodEl.value : 'none',
+            autoSelectModel: autoSelectModelEl ? autoSelectModelEl.checked : false,
+            recoveryTolerance: recoveryTolEl ? parseFloat(recoveryTolEl.value) || 20 : 20,
+            lloqTolerance: lloqTolEl ? parseFloat(lloqTolEl.value) || 25 : 25,
+            cvLimit: cvLimitEl ? parseFloat(cvLimitEl.value) || 20 : 20,
+            minLevelsPass: minLevelsPassEl ? parseFloat(minLevelsPassEl.value) || 75 : 75,
+            includeFlagged: includeFlaggedEl ? includeFlaggedEl.checked : true,
+            globalFit: globalFitEl ? globalFitEl.checked : false,
+            sharedParams,
+            replicatePattern: replicatePatternEl ? replicatePatternEl.value : 'horizontal-pairs',
+            replicateCvLimit: replicateCvLimitEl ? parseFloat(replicateCvLimitEl.value) || 15 : 15,
+            dilutionCvLimit: dilutionCvLimitEl ? parseFloat(dilutionCvLimitEl.value) || 20 : 20,
+            parallelismAlpha: parallelismAlphaEl ? parseFloat(parallelismAlphaEl.value) || 0.05 : 0.05,
+            saturationOD: saturationODEl ? parseFloat(saturationODEl.value) || 3.5 : 3.5,
+            dropSaturated: dropSaturatedEl ? dropSaturatedEl.checked : false,
+            dropHook: dropHookEl ? dropHookEl.checked : false,
+            uncertaintyMethod: uncertaintyMethodEl ? uncertaintyMethodEl.value : 'none',
+            uncertaintyIterations: uncertaintyIterationsEl ? parseInt(uncertaintyIterationsEl.value) || 500 : 500
+        };
+    }
+
     /**
      * Fit 4PL curve using standards from ALL plates
      */
     /**
-     * Fit 4PL curve for EACH plate individually
+     * Fit the selected regression model (4PL/5PL) for EACH plate individually
+     * The standards are prepared here; the fits run plate by plate in curve-worker.js (see
+     * runFitterTask) with progress shown under the Fit button. They replace the stored fits only
+     * when every plate is done, so a cancelled run (cancelFitting) keeps the previous curves.
+     * @param {object} options - {silent}: skip the completion alert/prompts (used for refits after edits)
+     * @returns {Promise} Resolves once the fits are applied, or when the run is cancelled or superseded
      */
-    fitCurve() {
-        this.plateParams = new Array(10).fill(null);
-        this.plateMinODs = new Array(10).fill(0);
-        let anySuccess = false;
+    fitCurve(options = {}) {
+        const { silent = false } = options;
+        // A newer fit supersedes a running one; intervals still being computed belong to the fits about to be replaced
+        this.cancelFitting({ quiet: true });
+        this.cancelUncertaintyAnalysis();
+        const runId = this.fitRunId;
+        const plateMinODs = this.plates.map(() => 0);
+        const plateSignalChecks = this.plates.map(() => null);
 
         // Get analysis settings
-        const subtractMinEl = document.getElementById('settingSubtractMin');
-        const blankAsStdEl = document.getElementById('settingBlankAsStandard');
-
-        const subtractMin = subtractMinEl ? subtractMinEl.checked : false;
-        const blankAsStandard = blankAsStdEl ? blankAsStdEl.checked : true;
+        const {
+            model, weighting, subtractMin, blankAsStandard, fitReplicates, outlierMethod, autoSelectModel,
+            globalFit, sharedParams, saturationOD, dropSaturated, dropHook
+        } = this.getFitSettings();
+        // Prepared standards of each plate with enough levels to fit
+        const plateJobs = [];
+        // With auto-selection a plate only needs enough levels for the simplest candidate
+        const minPoints = autoSelectModel
+            ? Math.min(...this.curveFitter.getAvailableModels().map(m => this.curveFitter.getMinPoints(m)))
+            : this.curveFitter.getMinPoints(model);
 
         // Fit for each plate
-        for (let i = 0; i < 10; i++) {
+        for (let i = 0; i < this.plates.length; i++) {
             const plate = this.plates[i];
 
             // Calculate Min OD if subtractMin is enabled
-            let minOD = 0;
-            if (subtractMin) {
-                let minVal = Infinity;
-                Object.values(plate).forEach(d => {
-                    if ((d.type === 'standard' || d.type === 'blank') && d.absorbance !== null) {
-                        if (d.absorbance < minVal) minVal = d.absorbance;
-                    }
-                });
-                if (minVal !== Infinity) minOD = minVal;
-            }
-            this.plateMinODs[i] = minOD;
+            const minOD = this.getPlateMinOD(i);
+            plateMinODs[i] = minOD;
+            const constraints = this.plateConstraints[i];
+            const robust = this.plateRobustLoss[i];
 
-            // Group standards by concentration to calculate mean absorbance
-            const standardsMap = new Map();
+            // Collect standard wells, skipping manually excluded ones
+            const exclusions = {};
             let wellsProcessed = [];
 
             Object.entries(plate).forEach(([wellId, data]) => {
@@ -857,82 +1610,1541 @@ class ELISAPlateAnalyzer {
                 }
 
                 if (shouldUse && data.absorbance !== null) {
-                    if (!standardsMap.has(conc)) {
-                        standardsMap.set(conc, []);
+                    if (data.excluded) {
+                        exclusions[wellId] = 'Manual';
+                        return;
                     }
                     // Apply correction
-                    standardsMap.get(conc).push(data.absorbance - minOD);
                     wellsProcessed.push({ wellId, type: data.type, conc, abs: data.absorbance, corrected: data.absorbance - minOD });
                 }
             });
 
-            // Convert to array of {x, y} with averaged y
-            const standardsData = Array.from(standardsMap.entries())
-                .map(([conc, values]) => ({
-                    x: conc,
-                    y: values.reduce((a, b) => a + b, 0) / values.length
-                }))
-                .sort((a, b) => a.x - b.x);
+            // Reader saturation and high-dose hook: always flagged, optionally dropped from the fit
+            if (dropSaturated) {
+                wellsProcessed.forEach(w => {
+                    if (w.abs >= saturationOD) exclusions[w.wellId] = 'Saturated';
+                });
+                wellsProcessed = wellsProcessed.filter(w => !exclusions[w.wellId]);
+            }
+            const monotonicity = this.curveFitter.detectNonMonotonic(wellsProcessed.map(w => ({ x: w.conc, y: w.corrected })));
+            const hookWellIds = wellsProcessed
+                .filter(w => monotonicity.hookLevels.includes(w.conc))
+                .map(w => w.wellId);
+            if (dropHook && hookWellIds.length > 0) {
+                hookWellIds.forEach(wellId => {
+                    exclusions[wellId] = 'Hook effect';
+                });
+                wellsProcessed = wellsProcessed.filter(w => !exclusions[w.wellId]);
+            }
+            if (!monotonicity.monotonic) {
+                console.warn(`${this.getPlateLabel(i)} - Non-monotonic standards at`, monotonicity.reversals, 'hook levels:', monotonicity.hookLevels);
+            }
+            plateSignalChecks[i] = {
+                minOD,
+                direction: monotonicity.direction,
+                reversals: monotonicity.reversals,
+                hookLevels: monotonicity.hookLevels,
+                hookWellIds,
+                // Most extreme standard level response: samples beyond it cannot be read off the curve
+                topStandardOD: monotonicity.peakResponse
+            };
 
-            console.log(`Plate ${i + 1} - Settings: subtractMin=${subtractMin}, blankAsStandard=${blankAsStandard}, minOD=${minOD}`);
-            console.log(`Plate ${i + 1} - Wells processed:`, wellsProcessed);
-            console.log(`Plate ${i + 1} - Curve Fitting Data:`, JSON.stringify(standardsData, null, 2));
-
-            if (standardsData.length >= 4) {
-                try {
-                    const result = this.curveFitter.fit(standardsData);
-                    this.plateParams[i] = { ...result.params, rSquared: result.rSquared };
-                    anySuccess = true;
-                    console.log(`Plate ${i + 1} fitted successfully. R2: ${result.rSquared}`);
-                } catch (error) {
-                    console.warn(`Plate ${i + 1} fitting failed:`, error);
+            // Require enough distinct concentrations, not just enough replicate wells
+            // (checked again after outlier screening, which can only remove wells)
+            if (new Set(wellsProcessed.map(w => w.conc)).size >= minPoints) {
+                plateJobs.push({
+                    plateIndex: i,
+                    context: {
+                        constraints,
+                        robust,
+                        minOD,
+                        exclusions,
+                        wellsProcessed,
+                        weighting,
+                        fitMode: fitReplicates ? 'replicates' : 'means'
+                    }
+                });
+            }
+        }
+
+        // Fits are collected here and only replace the stored ones once the run completes
+        const plateParams = this.plates.map(() => null);
+        const fitContexts = this.plates.map(() => null);
+        this.setFitInProgress(true);
+
+        const fitNext = (k) => {
+            if (runId !== this.fitRunId || k >= plateJobs.length) return Promise.resolve();
+
+            const { plateIndex: i } = plateJobs[k];
+            let context = plateJobs[k].context;
+            this.setFitStatus(`Fitting ${this.getPlateLabel(i)} (${k + 1}/${plateJobs.length})…`);
+
+            // Fit all candidate models for the comparison table, then refit the chosen one on the
+            // full data: the comparison may have left out points (e.g. blanks for log-x models)
+            let modelComparison = null;
+            let chosenModel = model;
+            return this.screenStandardOutliers(i, context, outlierMethod, { model, weighting, constraints: context.constraints })
+                .then(wellsProcessed => {
+                    const standardsData = this.buildStandardsData(wellsProcessed, fitReplicates);
+                    context = { ...context, wellsProcessed, standardsData };
+
+                    console.log(`${this.getPlateLabel(i)} - Settings: model=${autoSelectModel ? 'auto' : model}, weighting=${weighting}, subtractMin=${subtractMin}, blankAsStandard=${blankAsStandard}, fitReplicates=${fitReplicates}, minOD=${context.minOD}`);
+                    console.log(`${this.getPlateLabel(i)} - Wells processed:`, wellsProcessed);
+                    console.log(`${this.getPlateLabel(i)} - Curve Fitting Data:`, JSON.stringify(standardsData, null, 2));
+
+                    if (new Set(wellsProcessed.map(w => w.conc)).size < minPoints) {
+                        throw new Error('Not enough standard levels left after outlier screening');
+                    }
+                    return this.runFitterTask('fit', 'compareModels', [standardsData, { weighting, constraints: context.constraints }]);
+                })
+                .then(comparison => {
+                    modelComparison = this.buildModelComparison(comparison);
+                    if (autoSelectModel && modelComparison.best) chosenModel = modelComparison.best;
+                    return this.runFitterTask('fit', 'fit', [
+                        context.standardsData,
+                        { model: chosenModel, weighting, constraints: context.constraints, robust: context.robust }
+                    ]);
+                })
+                .then(result => {
+                    fitContexts[i] = {
+                        ...context,
+                        // Drop the candidate fit objects, the table only needs the criteria
+                        modelComparison: {
+                            ...modelComparison,
+                            models: modelComparison.models.map(({ result: _, ...entry }) => entry)
+                        }
+                    };
+                    plateParams[i] = this.buildPlateFitRecord(i, result, fitContexts[i], autoSelectModel ? 'auto' : 'manual');
+                    console.log(`${this.getPlateLabel(i)} fitted successfully (${result.params.model}). R2: ${result.rSquared}`);
+                })
+                .catch(error => {
+                    if (!error.cancelled) console.warn(`${this.getPlateLabel(i)} fitting failed:`, error);
+                })
+                .then(() => fitNext(k + 1));
+        };
+
+        return fitNext(0)
+            .then(() => {
+                if (runId !== this.fitRunId || !globalFit || !plateParams.some(p => p !== null)) return null;
+                this.setFitStatus('Global fit…');
+                return this.applyGlobalFit(fitContexts, plateParams, { model, weighting, sharedParams, silent });
+            })
+            .then(globalFitNote => {
+                if (runId !== this.fitRunId) return;
+                this.setFitInProgress(false);
+                // A global fit that could not be made stays visible even after a silent refit
+                this.setFitStatus(globalFitNote || '');
+
+                // Plates without a fit of their own use their assigned reference curve
+                plateParams.forEach((params, i) => {
+                    if (params || !this.plateReferenceAssignments[i]) return;
+                    try {
+                        plateParams[i] = this.buildReferenceCurveRecord(i, plateMinODs[i]);
+                    } catch (error) {
+                        console.warn(`${this.getPlateLabel(i)} reference curve not applied:`, error.message);
+                    }
+                });
+
+                this.plateParams = plateParams;
+                this.plateMinODs = plateMinODs;
+                this.plateSignalChecks = plateSignalChecks;
+                this.updateReferenceCurveControls();
+                const anySuccess = plateParams.some(p => p !== null);
+
+                this.updatePlateQCIndicators();
+                this.refreshPlateDisplay();
+
+                if (!anySuccess) {
+                    this.updateStandardsTable();
+                    if (!silent) alert(`Could not fit any curves. Ensure at least one plate has ${minPoints}+ standards.`);
+                    return;
+                }
+
+                this.updateStandardsTable();
+                this.runUncertaintyAnalysis(fitContexts);
+
+                // Update display for current plate
+                this.fittedParams = this.plateParams[this.currentPlateIndex];
+                if (this.fittedParams) {
+                    this.displayParameters(this.fittedParams, this.fittedParams.rSquared);
+                    this.updateChartForCurrentPlate();
+                } else {
+                    this.clearParameters();
+                    this.chartManager.clear();
+                    const firstFittedIndex = this.plateParams.findIndex(p => p !== null);
+                    if (!silent && firstFittedIndex !== -1 && confirm(`Current plate has no curve. Switch to ${this.getPlateLabel(firstFittedIndex)}?`)) {
+                        this.switchPlate(firstFittedIndex);
+                        return; // switchPlate calls updateCalculations implicitly via UI update flow? No, explicitly call it.
+                    }
+                }
+
+                this.updateCalculations();
+                if (!silent) alert('Approximation curves created for all plates.');
+            });
+    }
+
+    /**
+     * Stop a running fitCurve; the curves from before it started stay in place
+     * @param {object} options - {quiet}: clear the status instead of reporting the cancellation
+     */
+    cancelFitting(options = {}) {
+        const wasRunning = this.fitInProgress;
+        this.fitRunId++;
+        this.terminateFitterWorker('fit');
+        this.setFitInProgress(false);
+        this.setFitStatus(wasRunning && !options.quiet ? 'Fit cancelled – previous curves kept' : '');
+    }
+
+    /**
+     * Switch the Fit button between starting and cancelling a fit
+     */
+    setFitInProgress(running) {
+        this.fitInProgress = running;
+        const button = document.getElementById('fitCurveBtn');
+        if (button) button.textContent = running ? 'Cancel Fit' : 'Fit Curve';
+    }
+
+    /**
+     * Show the progress of fitCurve under the Fit button
+     */
+    setFitStatus(text) {
+        const el = document.getElementById('fitStatus');
+        if (el) el.textContent = text;
+    }
+
+    /**
+     * Start bootstrap / Monte Carlo intervals for every fitted plate in the background
+     * Plates run one after another in curve-worker.js; each finished plate stores
+     * plateParams[i].resampling and refreshes the display. Where workers are unavailable
+     * (e.g. the page is opened from file://) each plate runs on the main thread instead.
+     * Plates of a global fit are skipped: their resamples would be independent refits.
+     * @param {array} fitContexts - Fitting inputs per plate (null for plates without a fit)
+     */
+    runUncertaintyAnalysis(fitContexts) {
+        const { uncertaintyMethod, uncertaintyIterations } = this.getFitSettings();
+        if (uncertaintyMethod === 'none') return;
+
+        const jobs = [];
+        fitContexts.forEach((context, plateIndex) => {
+            const params = this.plateParams[plateIndex];
+            if (!context || !params || params.modelSelection === 'global') return;
+
+            const wellIds = [];
+            const samples = [];
+            Object.entries(this.plates[plateIndex]).forEach(([wellId, data]) => {
+                if (data.type === 'sample' && data.absorbance !== null) {
+                    wellIds.push(wellId);
+                    samples.push(data.absorbance - context.minOD);
+                }
+            });
+
+            jobs.push({
+                plateIndex,
+                wellIds,
+                data: context.standardsData,
+                options: {
+                    model: params.model,
+                    weighting: context.weighting,
+                    constraints: context.constraints,
+                    robust: params.robust ? params.robust.loss : 'none',
+                    method: uncertaintyMethod,
+                    iterations: uncertaintyIterations,
+                    seed: 1,
+                    samples
+                }
+            });
+        });
+        if (jobs.length === 0) return;
+
+        const runId = this.uncertaintyRunId;
+        const label = uncertaintyMethod === 'montecarlo' ? 'Monte Carlo' : 'Bootstrap';
+
+        const runNext = (k) => {
+            if (runId !== this.uncertaintyRunId) return;
+            if (k >= jobs.length) {
+                this.setUncertaintyStatus(`${label} intervals ready (${uncertaintyIterations} resamples per plate)`);
+                return;
+            }
+
+            const job = jobs[k];
+            const status = `${label}: ${this.getPlateLabel(job.plateIndex)} (${k + 1}/${jobs.length})`;
+            this.setUncertaintyStatus(`${status}…`);
+
+            this.runFitterTask('uncertainty', 'resampleUncertainty', [job.data, job.options], (done, total) => {
+                if (runId === this.uncertaintyRunId) {
+                    this.setUncertaintyStatus(`${status} – ${Math.round(done / total * 100)}%`);
+                }
+            })
+                .then(result => {
+                    if (runId !== this.uncertaintyRunId) return;
+                    this.applyResamplingResult(job, result);
+                    runNext(k + 1);
+                })
+                .catch(error => {
+                    if (runId !== this.uncertaintyRunId) return;
+                    console.warn(`${label} for ${this.getPlateLabel(job.plateIndex)} failed:`, error);
+                    runNext(k + 1);
+                });
+        };
+        runNext(0);
+    }
+
+    /**
+     * Run a CurveFitter method in a curve-worker.js worker (or on the main thread as a fallback)
+     * Each channel has its own worker running one task at a time; terminateFitterWorker stops it.
+     * Where workers are unavailable (e.g. the page is opened from file://) the task runs on the
+     * main thread after one yield, so status text is painted first; it cannot be interrupted there.
+     * @param {string} channel - 'fit' | 'uncertainty'
+     * @param {string} method - fit | compareModels | fitGlobal | resampleUncertainty
+     * @param {array} args - Method arguments (must survive structured cloning)
+     * @param {function|null} onProgress - Called with (done, total) by resampleUncertainty
+     * @returns {Promise<*>} Method result; rejects with error.cancelled set when the worker is stopped
+     */
+    runFitterTask(channel, method, args, onProgress = null) {
+        const worker = this.getFitterWorker(channel);
+
+        if (!worker) {
+            return new Promise((resolve, reject) => {
+                setTimeout(() => {
+                    try {
+                        const callArgs = method === 'resampleUncertainty' ? [args[0], { ...args[1], onProgress }] : args;
+                        resolve(new CurveFitter()[method](...callArgs));
+                    } catch (error) {
+                        reject(error);
+                    }
+                }, 0);
+            });
+        }
+
+        return new Promise((resolve, reject) => {
+            const id = ++this.fitterTaskId;
+            this.fitterTasks[channel] = { id, reject };
+            worker.onmessage = (event) => {
+                const message = event.data;
+                if (message.id !== id) return;
+                if (message.type === 'progress') {
+                    if (onProgress) onProgress(message.done, message.total);
+                    return;
+                }
+                this.fitterTasks[channel] = null;
+                if (message.type === 'result') {
+                    resolve(message.result);
+                } else {
+                    reject(new Error(message.message));
+                }
+            };
+            worker.onerror = (event) => {
+                // The worker script could not run here: retry this and later tasks on the main thread
+                event.preventDefault();
+                console.warn('Curve fitting worker unavailable, using the main thread:', event.message);
+                this.fitterTasks[channel] = null;
+                this.terminateFitterWorker(channel);
+                this.fitterWorkerUnavailable = true;
+                resolve(this.runFitterTask(channel, method, args, onProgress));
+            };
+            worker.postMessage({ id, method, args });
+        });
+    }
+
+    /**
+     * Lazily create the worker of a channel
+     * @returns {Worker|null} null where workers cannot be used
+     */
+    getFitterWorker(channel) {
+        if (this.fitterWorkers[channel] || this.fitterWorkerUnavailable) return this.fitterWorkers[channel];
+        if (typeof Worker === 'undefined') {
+            this.fitterWorkerUnavailable = true;
+            return null;
+        }
+
+        try {
+            this.fitterWorkers[channel] = new Worker('curve-worker.js');
+        } catch (error) {
+            console.warn('Could not start curve fitting worker, using the main thread:', error);
+            this.fitterWorkerUnavailable = true;
+        }
+        return this.fitterWorkers[channel];
+    }
+
+    /**
+     * Stop the worker of a channel; its pending task rejects with error.cancelled
+     */
+    terminateFitterWorker(channel) {
+        const worker = this.fitterWorkers[channel];
+        if (worker) {
+            worker.terminate();
+            this.fitterWorkers[channel] = null;
+        }
+
+        const task = this.fitterTasks[channel];
+        if (task) {
+            this.fitterTasks[channel] = null;
+            const error = new Error('Cancelled');
+            error.cancelled = true;
+            task.reject(error);
+        }
+    }
+
+    /**
+     * Stop background resampling; its results would no longer match the plate fits
+     */
+    cancelUncertaintyAnalysis() {
+        this.uncertaintyRunId++;
+        this.terminateFitterWorker('uncertainty');
+        this.setUncertaintyStatus('');
+    }
+
+    /**
+     * Store a plate's resampling intervals and refresh what shows them
+     * @param {object} job - Job built by runUncertaintyAnalysis
+     * @param {object} result - Result of CurveFitter.resampleUncertainty
+     */
+    applyResamplingResult(job, result) {
+        const params = this.plateParams[job.plateIndex];
+        if (!params) return;
+
+        const samples = {};
+        job.wellIds.forEach((wellId, k) => {
+            samples[wellId] = result.samples[k];
+        });
+        params.resampling = { ...result, samples };
+        console.log(`${this.getPlateLabel(job.plateIndex)} ${result.method}: ${result.successful}/${result.iterations} refits`, result.params);
+
+        if (job.plateIndex === this.currentPlateIndex) {
+            this.displayParameters(params, params.rSquared);
+        }
+        this.updateCalculations();
+    }
+
+    /**
+     * Show the progress of the background resampling
+     */
+    setUncertaintyStatus(text) {
+        const el = document.getElementById('uncertaintyStatus');
+        if (el) el.textContent = text;
+    }
+
+    /**
+     * Short label of a resampling interval, e.g. "boot 95%"
+     */
+    formatResamplingLabel(resampling) {
+        return `${resampling.method === 'montecarlo' ? 'MC' : 'boot'} ${Math.round(resampling.level * 100)}%`;
+    }
+
+    /**
+     * Fill the constraint inputs of the Settings modal from the current plate
+     */
+    loadConstraintInputs() {
+        const constraints = this.plateConstraints[this.currentPlateIndex] || {};
+        const toInput = v => (v !== null && v !== undefined ? v : '');
+
+        const plateLabel = document.getElementById('constraintPlateLabel');
+        if (plateLabel) plateLabel.textContent = this.getPlateLabel(this.currentPlateIndex);
+
+        const robustEl = document.getElementById('settingRobustLoss');
+        if (robustEl) robustEl.value = this.plateRobustLoss[this.currentPlateIndex];
+
+        ['A', 'B', 'C', 'D', 'E'].forEach(name => {
+            const c = constraints[name] || {};
+            const isFixed = c.fixed !== null && c.fixed !== undefined;
+            document.getElementById(`constraintFix${name}`).checked = isFixed;
+            document.getElementById(`constraintValue${name}`).value = toInput(c.fixed);
+            document.getElementById(`constraintLower${name}`).value = toInput(c.lower);
+            document.getElementById(`constraintUpper${name}`).value = toInput(c.upper);
+        });
+    }
+
+    /**
+     * Read the constraint inputs of the Settings modal and store them for the current (or every) plate
+     * @returns {boolean} false if the inputs are invalid (the modal stays open)
+     */
+    saveConstraintInputs() {
+        const parse = id => {
+            const el = document.getElementById(id);
+            if (!el || el.value.trim() === '') return null;
+            const value = parseFloat(el.value);
+            return isNaN(value) ? null : value;
+        };
+
+        const constraints = {};
+        for (const name of ['A', 'B', 'C', 'D', 'E']) {
+            const fixEl = document.getElementById(`constraintFix${name}`);
+            if (!fixEl) return true; // Modal without constraint inputs
+
+            const fixed = fixEl.checked ? parse(`constraintValue${name}`) : null;
+            const lower = parse(`constraintLower${name}`);
+            const upper = parse(`constraintUpper${name}`);
+
+            if (fixEl.checked && fixed === null) {
+                alert(`Enter a value to fix parameter ${name} to.`);
+                return false;
+            }
+            if (lower !== null && upper !== null && lower > upper) {
+                alert(`Lower bound of ${name} is above its upper bound.`);
+                return false;
+            }
+
+            if (fixed !== null || lower !== null || upper !== null) {
+                constraints[name] = { fixed, lower, upper };
+            }
+        }
+
+        const value = Object.keys(constraints).length > 0 ? constraints : null;
+        const robustEl = document.getElementById('settingRobustLoss');
+        const robust = robustEl ? robustEl.value : 'none';
+        const scopeEl = document.querySelector('input[name="constraintScope"]:checked');
+        if (scopeEl && scopeEl.value === 'all') {
+            this.plateConstraints = this.plateConstraints.map(() => (value ? JSON.parse(JSON.stringify(value)) : null));
+            this.plateRobustLoss = this.plateRobustLoss.map(() => robust);
+        } else {
+            this.plateConstraints[this.currentPlateIndex] = value;
+            this.plateRobustLoss[this.currentPlateIndex] = robust;
+        }
+
+        console.log('Parameter constraints:', this.plateConstraints, 'robust loss:', this.plateRobustLoss);
+        return true;
+    }
+
+    /**
+     * Add p-values to a comparison of the available regression models on one plate's standards
+     * @param {object} comparison - Result of CurveFitter.compareModels
+     * @returns {object} {models, best, criterion, fTests} with p-values on the F-tests
+     */
+    buildModelComparison(comparison) {
+        comparison.fTests = comparison.fTests.map(test => ({
+            ...test,
+            pValue: StatisticsUtils.fDistributionPValue(test.fValue, test.df1, test.df2)
+        }));
+
+        console.log('Model comparison:', comparison.models.map(m =>
+            `${m.model}: AIC=${m.aic.toFixed(2)}, AICc=${m.aicc.toFixed(2)}, BIC=${m.bic.toFixed(2)}`).join(' | '));
+
+        return comparison;
+    }
+
+    /**
+     * Assemble the stored fit of a plate from a fit result
+     * @param {number} plateIndex - Plate index
+     * @param {object} result - Result of CurveFitter.fit (or one plate of fitGlobal)
+     * @param {object} context - {minOD, exclusions, wellsProcessed, weighting, fitMode, modelComparison}
+     * @param {string} modelSelection - 'manual' | 'auto' | 'global'
+     * @returns {object} Plate parameters
+     */
+    buildPlateFitRecord(plateIndex, result, context, modelSelection) {
+        const plate = this.plates[plateIndex];
+
+        // Lack-of-fit F-test: does the curve miss the level means by more than replicate scatter?
+        const lackOfFit = result.lackOfFit
+            ? {
+                ...result.lackOfFit,
+                pValue: StatisticsUtils.fDistributionPValue(result.lackOfFit.fValue, result.lackOfFit.dfLackOfFit, result.lackOfFit.dfPureError)
+            }
+            : null;
+
+        const record = {
+            ...result.params,
+            rSquared: result.rSquared,
+            adjustedRSquared: result.adjustedRSquared,
+            freeParams: result.freeParams,
+            weighting: result.weighting,
+            weightScale: result.weightScale || null,
+            fitMode: context.fitMode,
+            lackOfFit,
+            exclusions: context.exclusions,
+            modelComparison: context.modelComparison,
+            modelSelection,
+            diagnostics: result.diagnostics,
+            robust: result.robust || null,
+            // Per-well residuals, also in means mode, so replicate scatter stays visible
+            residuals: this.curveFitter.calculateResiduals(
+                context.wellsProcessed.map(w => ({ x: w.conc, y: w.corrected, wellId: w.wellId })),
+                result.params,
+                context.weighting
+            ),
+            ...this.calculateParameterConfidence(result.params, result.covariance)
+        };
+        record.limits = this.calculateQuantitationLimits(plate, record, context.minOD);
+        record.qc = this.evaluatePlateAcceptance(plate, record, context.minOD);
+        return record;
+    }
+
+    /**
+     * Refit all fitted plates with one model whose shared parameters are common to every plate
+     * Replaces the independent fits in plateParams when it succeeds and stores the pooling F-test
+     * (shared model vs. independent fits) on every plate as globalFit.
+     * @param {array} fitContexts - Fitting inputs per plate (null for plates without a fit)
+     * @param {array} plateParams - Independent fits per plate, updated in place
+     * Each plate keeps its own parameter constraints and robust loss.
+     * @param {object} options - {model, weighting, sharedParams, silent}
+     * @returns {Promise<string|null>} Resolves with a note for the fit status when the global fit could not
+     *                                 be made; the plates then keep their independent fits
+     */
+    applyGlobalFit(fitContexts, plateParams, options) {
+        const { model, weighting, sharedParams, silent } = options;
+
+        if (model !== '4PL' && model !== '5PL') {
+            console.warn(`Global fit skipped: only available for 4PL/5PL (model is ${model})`);
+            if (!silent) alert('Global fitting is only available for the 4PL and 5PL models. Plates were fitted independently.');
+            return Promise.resolve('Global fit skipped (4PL/5PL only) – plates fitted independently');
+        }
+
+        const plateIndices = fitContexts
+            .map((context, i) => (context ? i : null))
+            .filter(i => i !== null);
+
+        return this.runFitterTask('fit', 'fitGlobal', [
+            plateIndices.map(i => ({
+                key: i,
+                data: fitContexts[i].standardsData,
+                constraints: fitContexts[i].constraints,
+                robust: fitContexts[i].robust
+            })),
+            { model, weighting, sharedParams }
+        ]).then(global => {
+            const { fValue, df1, df2 } = global.fTest;
+            const pValue = fValue !== null ? StatisticsUtils.fDistributionPValue(fValue, df1, df2) : null;
+            const summary = {
+                model: global.model,
+                sharedParams: global.sharedParams,
+                plates: Object.keys(global.plates).map(Number),
+                ssr: global.ssr,
+                dof: global.dof,
+                parameterCount: global.parameterCount,
+                independentSSR: global.independent.ssr,
+                independentDof: global.independent.dof,
+                independentParameterCount: global.independent.parameterCount,
+                fValue,
+                df1,
+                df2,
+                pValue,
+                // Pooling is justified unless the independent fits are significantly better
+                poolingJustified: pValue !== null ? pValue >= 0.05 : null
+            };
+
+            Object.entries(global.plates).forEach(([key, result]) => {
+                const i = Number(key);
+                plateParams[i] = {
+                    ...this.buildPlateFitRecord(i, result, fitContexts[i], 'global'),
+                    globalFit: summary
+                };
+            });
+
+            console.log(`Global fit (${global.model}, shared ${global.sharedParams.join(', ') || 'none'}) over ${summary.plates.map(i => this.getPlateLabel(i)).join(', ')}: ` +
+                `SSR=${global.ssr}, independent SSR=${global.independent.ssr}, F(${df1}, ${df2})=${fValue}, p=${pValue}`);
+            return null;
+        }, error => {
+            if (error.cancelled) return null;
+            console.warn('Global fit failed, keeping independent fits:', error);
+            if (!silent) alert(`Global fit failed (${error.message}). Plates were fitted independently.`);
+            return `Global fit failed: ${error.message} – plates fitted independently`;
+        });
+    }
+
+    /**
+     * Read the reference curve library from browser storage
+     * @returns {array} [{id, name, kitLot, date, model, params, weighting, rSquared, limits, sourcePlate}]
+     */
+    loadReferenceCurves() {
+        try {
+            const stored = localStorage.getItem(REFERENCE_CURVE_STORAGE_KEY);
+            return stored ? JSON.parse(stored) : [];
+        } catch (error) {
+            console.warn('Could not read reference curves:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Write the reference curve library to browser storage
+     * @returns {boolean} false if the browser refused (storage full or disabled)
+     */
+    storeReferenceCurves() {
+        try {
+            localStorage.setItem(REFERENCE_CURVE_STORAGE_KEY, JSON.stringify(this.referenceCurves));
+            return true;
+        } catch (error) {
+            console.warn('Could not store reference curves:', error);
+            alert('Reference curves could not be saved in browser storage.');
+            return false;
+        }
+    }
+
+    /**
+     * Save the current plate's own fit as a named reference curve
+     */
+    saveReferenceCurve() {
+        const params = this.plateParams[this.currentPlateIndex];
+        if (!params || params.referenceCurve) {
+            alert('Fit a curve on this plate first. Only a plate\'s own fit can be saved as a reference curve.');
+            return;
+        }
+
+        const nameEl = document.getElementById('referenceCurveName');
+        const lotEl = document.getElementById('referenceKitLot');
+        const name = nameEl.value.trim();
+        if (!name) {
+            alert('Enter a name for the reference curve.');
+            return;
+        }
+
+        const model = params.model || '4PL';
+        const curveParams = { model };
+        this.curveFitter.getParamNames(model).forEach(key => {
+            curveParams[key] = params[key];
+        });
+        // Model fields besides the parameters: spline knots, the quadratic's fitted x range
+        ['knots', 'xMin', 'xMax'].forEach(key => {
+            if (params[key] !== undefined) curveParams[key] = params[key];
+        });
+
+        const curve = {
+            id: `ref-${Date.now().toString(36)}`,
+            name,
+            kitLot: lotEl.value.trim(),
+            date: new Date().toISOString(),
+            model,
+            params: curveParams,
+            weighting: params.weighting,
+            rSquared: params.rSquared,
+            limits: params.limits || null,
+            sourcePlate: this.getPlateLabel(this.currentPlateIndex)
+        };
+
+        this.referenceCurves.push(curve);
+        if (!this.storeReferenceCurves()) {
+            this.referenceCurves.pop();
+            return;
+        }
+        nameEl.value = '';
+        lotEl.value = '';
+        this.updateReferenceCurveControls(curve.id);
+        console.log('Reference curve saved:', curve);
+    }
+
+    /**
+     * Assign the selected reference curve (or none) to the current plate and apply it at once
+     * Only plates without a fit of their own can use a reference curve.
+     */
+    assignReferenceCurve() {
+        const plateIndex = this.currentPlateIndex;
+        const curveId = document.getElementById('referenceCurveSelect').value;
+        const current = this.plateParams[plateIndex];
+
+        if (!curveId) {
+            this.plateReferenceAssignments[plateIndex] = null;
+            if (current && current.referenceCurve) this.plateParams[plateIndex] = null;
+        } else {
+            if (current && !current.referenceCurve) {
+                alert(`${this.getPlateLabel(plateIndex)} has its own standard curve. Reference curves are for plates without one.`);
+                return;
+            }
+
+            const anchor = document.getElementById('referenceAnchor').value;
+            const calibratorConc = parseFloat(document.getElementById('referenceCalibratorConc').value);
+            const previous = this.plateReferenceAssignments[plateIndex];
+            this.plateReferenceAssignments[plateIndex] = {
+                curveId,
+                anchor,
+                calibratorConc: anchor === 'calibrator' ? calibratorConc : null
+            };
+
+            const minOD = this.getPlateMinOD(plateIndex);
+            try {
+                this.plateParams[plateIndex] = this.buildReferenceCurveRecord(plateIndex, minOD);
+            } catch (error) {
+                this.plateReferenceAssignments[plateIndex] = previous;
+                alert(error.message);
+                return;
+            }
+            this.plateMinODs[plateIndex] = minOD;
+        }
+
+        this.fittedParams = this.plateParams[plateIndex];
+        if (this.fittedParams) {
+            this.displayParameters(this.fittedParams, this.fittedParams.rSquared);
+            this.updateChartForCurrentPlate();
+        } else {
+            this.clearParameters();
+            this.chartManager.clear();
+        }
+        this.updatePlateQCIndicators();
+        this.updateReferenceCurveControls();
+        this.updateCalculations();
+    }
+
+    /**
+     * Remove the selected reference curve from the library (plates using it keep their current results until refit)
+     */
+    deleteReferenceCurve() {
+        const curveId = document.getElementById('referenceCurveSelect').value;
+        const curve = this.referenceCurves.find(c => c.id === curveId);
+        if (!curve || !confirm(`Delete reference curve "${curve.name}"?`)) return;
+
+        this.referenceCurves = this.referenceCurves.filter(c => c.id !== curveId);
+        this.plateReferenceAssignments = this.plateReferenceAssignments.map(a => (a && a.curveId === curveId ? null : a));
+        this.storeReferenceCurves();
+        this.updateReferenceCurveControls();
+    }
+
+    /**
+     * OD subtracted from a plate before fitting (lowest standard/blank with "subtract min OD", else 0)
+     */
+    getPlateMinOD(plateIndex) {
+        const { subtractMin } = this.getFitSettings();
+        if (!subtractMin) return 0;
+
+        let minVal = Infinity;
+        Object.values(this.plates[plateIndex]).forEach(d => {
+            if ((d.type === 'standard' || d.type === 'blank') && !d.excluded && d.absorbance !== null && d.absorbance < minVal) {
+                minVal = d.absorbance;
+            }
+        });
+        return minVal !== Infinity ? minVal : 0;
+    }
+
+    /**
+     * Build the stored parameters of a plate from its assigned reference curve
+     * Anchoring (4PL/5PL only) adapts the curve to this plate's signal:
+     *   blank      - shifts the curve so its zero-dose response A equals the mean blank OD
+     *   calibrator - keeps A and scales the signal span D - A so the curve passes through
+     *                the mean OD of the plate's standards at the calibrator concentration
+     * Limits (LLOQ/ULOQ) come from the reference fit; the LOD from this plate's blanks when it has two or more.
+     * @param {number} plateIndex - Plate index
+     * @param {number} minOD - OD subtracted from this plate
+     * @returns {object} Plate parameters with referenceCurve set and no confidence intervals
+     * @throws {Error} If the curve no longer exists or the plate lacks the wells to anchor it
+     */
+    buildReferenceCurveRecord(plateIndex, minOD) {
+        const assignment = this.plateReferenceAssignments[plateIndex];
+        const curve = assignment ? this.referenceCurves.find(c => c.id === assignment.curveId) : null;
+        if (!curve) throw new Error('The assigned reference curve is no longer in the library.');
+
+        const plate = this.plates[plateIndex];
+        const params = { ...curve.params };
+        const meanOD = wells => StatisticsUtils.mean(wells.map(d => d.absorbance - minOD));
+        let anchorOD = null;
+
+        if (assignment.anchor !== 'none' && params.model !== '4PL' && params.model !== '5PL') {
+            throw new Error('Anchoring is only available for 4PL and 5PL reference curves.');
+        }
+
+        if (assignment.anchor === 'blank') {
+            const blanks = Object.values(plate).filter(d => d.type === 'blank' && d.absorbance !== null && !d.excluded);
+            if (blanks.length === 0) throw new Error(`${this.getPlateLabel(plateIndex)} has no blank wells to anchor the reference curve to.`);
+
+            anchorOD = meanOD(blanks);
+            const offset = anchorOD - params.A;
+            params.A += offset;
+            params.D += offset;
+        } else if (assignment.anchor === 'calibrator') {
+            const conc = assignment.calibratorConc;
+            const calibrators = Object.values(plate).filter(d =>
+                d.type === 'standard' && d.concentration === conc && d.absorbance !== null && !d.excluded);
+            if (!(conc > 0) || calibrators.length === 0) {
+                throw new Error(`${this.getPlateLabel(plateIndex)} has no standard wells at ${isNaN(conc) ? 'the calibrator' : conc} ng/mL to anchor the reference curve to.`);
+            }
+
+            anchorOD = meanOD(calibrators);
+            const factor = (anchorOD - params.A) / (this.curveFitter.evaluate(conc, params) - params.A);
+            if (!isFinite(factor) || factor <= 0) {
+                throw new Error('The calibrator OD lies on the wrong side of the reference curve\'s baseline; it cannot be anchored.');
+            }
+            params.D = params.A + (params.D - params.A) * factor;
+        }
+
+        const record = {
+            ...params,
+            rSquared: curve.rSquared,
+            adjustedRSquared: null,
+            freeParams: [],
+            weighting: curve.weighting,
+            fitMode: null,
+            lackOfFit: null,
+            exclusions: {},
+            modelComparison: null,
+            modelSelection: 'reference',
+            diagnostics: null,
+            robust: null,
+            residuals: [],
+            // The library curve's range until the plate's own LOD is known (see getCurveResponseRange)
+            limits: curve.limits || null,
+            referenceCurve: {
+                id: curve.id,
+                name: curve.name,
+                kitLot: curve.kitLot,
+                date: curve.date,
+                anchor: assignment.anchor,
+                calibratorConc: assignment.calibratorConc,
+                anchorOD
+            },
+            ...this.calculateParameterConfidence(params, null),
+            qc: null
+        };
+
+        const plateLimits = this.calculateQuantitationLimits(plate, record, minOD);
+        record.limits = {
+            ...(curve.limits || { lod: null, lodOD: null, lloq: null, uloq: null }),
+            ...(plateLimits.lod !== null ? { lod: plateLimits.lod, lodOD: plateLimits.lodOD } : {})
+        };
+        return record;
+    }
+
+    /**
+     * Short description of a plate's reference curve, e.g. "Kit A (lot 123, 2026-10-12), anchored to blank"
+     */
+    formatReferenceCurve(reference) {
+        const details = [reference.kitLot ? `lot ${reference.kitLot}` : null, reference.date.slice(0, 10)].filter(Boolean).join(', ');
+        const anchors = {
+            none: 'not anchored',
+            blank: 'anchored to blank',
+            calibrator: `anchored to ${reference.calibratorConc} ng/mL calibrator`
+        };
+        return `${reference.name} (${details}), ${anchors[reference.anchor]}`;
+    }
+
+    /**
+     * Refresh the reference curve list and the current plate's assignment
+     * @param {string} selectId - Curve to select (defaults to the one assigned to the current plate)
+     */
+    updateReferenceCurveControls(selectId = null) {
+        const select = document.getElementById('referenceCurveSelect');
+        if (!select) return;
+
+        const assignment = this.plateReferenceAssignments[this.currentPlateIndex];
+        select.innerHTML = '<option value="">— No reference curve —</option>';
+        // Names and lots are user text, so they go in as option text rather than markup
+        this.referenceCurves.forEach(c => {
+            select.add(new Option(`${c.name}${c.kitLot ? ` · lot ${c.kitLot}` : ''} · ${c.model} · ${c.date.slice(0, 10)}`, c.id));
+        });
+        select.value = selectId || (assignment ? assignment.curveId : '');
+
+        document.getElementById('referenceAnchor').value = assignment ? assignment.anchor : 'none';
+        document.getElementById('referenceCalibratorConc').value =
+            assignment && assignment.calibratorConc !== null ? assignment.calibratorConc : '';
+
+        const params = this.plateParams[this.currentPlateIndex];
+        const status = document.getElementById('referenceCurveStatus');
+        status.textContent = params && params.referenceCurve
+            ? `${this.getPlateLabel(this.currentPlateIndex)} uses reference curve ${this.formatReferenceCurve(params.referenceCurve)}`
+            : '';
+    }
+
+    /**
+     * Fill the model comparison table for a plate
+     * @param {object} params - Plate parameters (with modelComparison)
+     */
+    displayModelComparison(params) {
+        const section = document.getElementById('modelComparisonSection');
+        if (!section) return;
+
+        const comparison = params ? params.modelComparison : null;
+        if (!comparison || comparison.models.length === 0) {
+            section.style.display = 'none';
+            return;
+        }
+        section.style.display = '';
+
+        const fmt = (v) => isFinite(v) ? v.toFixed(2) : '–';
+        const tbody = document.getElementById('modelComparisonBody');
+        tbody.innerHTML = '';
+        comparison.models.forEach(m => {
+            const row = document.createElement('tr');
+            if (m.model === comparison.best) row.classList.add('best-model');
+            if (m.model === params.model) row.classList.add('selected-model');
+            row.innerHTML = `
+                <td>${this.curveFitter.getModelLabel(m.model)}</td>
+                <td>${m.k}</td>
+                <td>${m.ssr.toExponential(3)}</td>
+                <td>${fmt(m.aic)}</td>
+                <td>${fmt(m.aicc)}</td>
+                <td>${fmt(m.bic)}</td>
+                <td>${fmt(m.delta)}</td>
+                <td>${m.weight !== null ? (m.weight * 100).toFixed(1) + '%' : '–'}</td>
+            `;
+            tbody.appendChild(row);
+        });
+
+        const selection = { auto: 'auto-selected', global: 'global fit' }[params.modelSelection] || 'selected in settings';
+        const label = (m) => this.curveFitter.getModelLabel(m);
+        const lines = [`Best by ${comparison.criterion.toUpperCase()}: ${label(comparison.best)} · In use: ${label(params.model)} (${selection})`];
+        comparison.fTests.forEach(t => {
+            const verdict = t.pValue < 0.05 ? `${label(t.complex)} significantly better` : `${label(t.complex)} not justified`;
+            lines.push(`F-test ${label(t.simple)} vs ${label(t.complex)}: F(${t.df1}, ${t.df2}) = ${t.fValue.toFixed(3)}, p = ${t.pValue.toFixed(4)} → ${verdict}`);
+        });
+        document.getElementById('modelFTests').innerHTML = lines.join('<br>');
+    }
+
+    /**
+     * Exclude the outliers of a plate's standards (see detectStandardOutliers)
+     * @param {number} plateIndex - Plate being fitted
+     * @param {object} context - Fit context; its exclusions receive the outliers
+     * @param {string} method - 'none' | 'grubbs' | 'dixon' | 'residual'
+     * @param {object} fitOptions - {model, weighting, constraints} for the residual fit
+     * @returns {Promise<object[]>} The remaining standard wells
+     */
+    screenStandardOutliers(plateIndex, context, method, fitOptions) {
+        if (method === 'none') return Promise.resolve(context.wellsProcessed);
+
+        return this.detectStandardOutliers(context.wellsProcessed, method, fitOptions).then(outliers => {
+            outliers.forEach(({ wellId, reason }) => {
+                context.exclusions[wellId] = reason;
+            });
+            if (outliers.length > 0) {
+                console.log(`${this.getPlateLabel(plateIndex)} - Outliers excluded (${method}):`, outliers);
+            }
+            return context.wellsProcessed.filter(w => !context.exclusions[w.wellId]);
+        });
+    }
+
+    /**
+     * Curve fitting data of the standard wells
+     * One point per well in replicate mode, otherwise the mean response of each level.
+     * @param {object[]} wells - {wellId, conc, corrected} per standard well
+     * @param {boolean} fitReplicates - Fit every well instead of level means
+     * @returns {object[]} [{x, y[, wellId]}] sorted by concentration
+     */
+    buildStandardsData(wells, fitReplicates) {
+        if (fitReplicates) {
+            return wells
+                .map(w => ({ x: w.conc, y: w.corrected, wellId: w.wellId }))
+                .sort((a, b) => a.x - b.x);
+        }
+
+        // Group standards by concentration to calculate mean absorbance
+        const standardsMap = new Map();
+        wells.forEach(w => {
+            if (!standardsMap.has(w.conc)) {
+                standardsMap.set(w.conc, []);
+            }
+            standardsMap.get(w.conc).push(w.corrected);
+        });
+
+        return Array.from(standardsMap.entries())
+            .map(([conc, values]) => ({
+                x: conc,
+                y: values.reduce((a, b) => a + b, 0) / values.length
+            }))
+            .sort((a, b) => a.x - b.x);
+    }
+
+    /**
+     * Screen standard wells for outliers
+     * grubbs/dixon test the replicates of each concentration level (needs n >= 3 per level).
+     * residual fits all wells once in the fitting worker and runs Grubbs on the weighted residuals,
+     * excluding at most one well.
+     * @param {object[]} wells - {wellId, conc, corrected} per standard well
+     * @param {string} method - 'grubbs' | 'dixon' | 'residual'
+     * @param {object} fitOptions - {model, weighting} for the residual fit
+     * @returns {Promise<object[]>} [{wellId, reason}]
+     */
+    detectStandardOutliers(wells, method, fitOptions) {
+        const outliers = [];
+
+        if (method === 'grubbs' || method === 'dixon') {
+            const levels = new Map();
+            wells.forEach(w => {
+                if (!levels.has(w.conc)) levels.set(w.conc, []);
+                levels.get(w.conc).push(w);
+            });
+
+            levels.forEach(levelWells => {
+                const values = levelWells.map(w => w.corrected);
+                const test = method === 'grubbs'
+                    ? StatisticsUtils.grubbsTest(values)
+                    : StatisticsUtils.dixonQTest(values);
+
+                if (test && test.isOutlier) {
+                    const stat = method === 'grubbs'
+                        ? `Grubbs G=${test.G.toFixed(2)} > ${test.critical.toFixed(2)}`
+                        : `Dixon Q=${test.Q.toFixed(2)} > ${test.critical.toFixed(2)}`;
+                    outliers.push({ wellId: levelWells[test.index].wellId, reason: stat });
+                }
+            });
+        } else if (method === 'residual') {
+            const levelCount = new Set(wells.map(w => w.conc)).size;
+            if (levelCount < this.curveFitter.getMinPoints(fitOptions.model)) return Promise.resolve(outliers);
+
+            const data = wells.map(w => ({ x: w.conc, y: w.corrected, wellId: w.wellId }));
+            return this.runFitterTask('fit', 'fit', [data, fitOptions]).then(result => {
+                // Weighted residuals so the test respects the weighting scheme
+                // (points the model cannot use, e.g. blanks on a log axis, are not screened)
+                const points = this.curveFitter.calculateResiduals(data, result.params, fitOptions.weighting);
+
+                const test = StatisticsUtils.grubbsTest(points.map(p => p.weightedResidual));
+                if (test && test.isOutlier) {
+                    outliers.push({
+                        wellId: points[test.index].wellId,
+                        reason: `Residual G=${test.G.toFixed(2)} > ${test.critical.toFixed(2)}`
+                    });
                 }
+                return outliers;
+            }, error => {
+                if (error.cancelled) throw error;
+                console.warn('Residual outlier screening skipped, fit failed:', error);
+                return outliers;
+            });
+        }
+
+        return Promise.resolve(outliers);
+    }
+
+    /**
+     * Back-calculate every standard level of a plate through its curve
+     * @param {object} plate - Plate well data
+     * @param {object} params - Fitted parameters for this plate
+     * @param {number} minOD - OD subtracted before fitting
+     * @returns {object[]} Levels sorted by nominal conc:
+     *                     {conc, wells: [{wellId, corrected, backCalc}], backCalcMean, recovery, cv}
+     */
+    calculateStandardRecovery(plate, params, minOD) {
+        const levels = new Map();
+
+        Object.entries(plate).forEach(([wellId, data]) => {
+            if (data.type !== 'standard' || data.concentration === null || data.concentration <= 0 || data.absorbance === null) return;
+
+            const corrected = data.absorbance - minOD;
+            if (!levels.has(data.concentration)) levels.set(data.concentration, []);
+            levels.get(data.concentration).push({
+                wellId,
+                corrected,
+                backCalc: this.curveFitter.calculateConcentration(corrected, params),
+                excluded: data.excluded || !!(params.exclusions && params.exclusions[wellId])
+            });
+        });
+
+        return Array.from(levels.entries())
+            .sort((a, b) => a[0] - b[0])
+            .map(([conc, wells]) => {
+                // Excluded wells keep their back-calculation for display but do not count towards the level
+                const used = wells.filter(w => !w.excluded);
+                const values = used.map(w => w.backCalc).filter(v => v !== null);
+                const backCalcMean = values.length > 0 && values.length === used.length ? StatisticsUtils.mean(values) : null;
+                const cv = backCalcMean !== null && values.length > 1
+                    ? Math.sqrt(StatisticsUtils.variance(values)) / backCalcMean * 100
+                    : null;
+
+                return {
+                    conc,
+                    wells,
+                    backCalcMean,
+                    recovery: backCalcMean !== null ? backCalcMean / conc * 100 : null,
+                    cv
+                };
+            });
+    }
+
+    /**
+     * Apply the acceptance criteria to each standard level
+     * The LLOQ candidate (by default the lowest standard) gets the wider LLOQ recovery tolerance.
+     * @param {object[]} levels - Result of calculateStandardRecovery
+     * @param {number} lloqIndex - Index of the LLOQ candidate
+     * @returns {boolean[]} Pass/fail per level
+     */
+    evaluateStandardLevels(levels, lloqIndex = 0) {
+        const { recoveryTolerance, lloqTolerance, cvLimit } = this.getFitSettings();
+
+        return levels.map((level, idx) => {
+            const tolerance = idx === lloqIndex ? lloqTolerance : recoveryTolerance;
+            return level.recovery !== null &&
+                Math.abs(level.recovery - 100) <= tolerance &&
+                (level.cv === null || level.cv <= cvLimit);
+        });
+    }
+
+    /**
+     * Pass/fail decision for a plate's standard curve
+     * @returns {object} {passed, levelsPassed, levelsTotal, failedLevels}
+     */
+    evaluatePlateAcceptance(plate, params, minOD) {
+        const { minLevelsPass } = this.getFitSettings();
+        const levels = this.calculateStandardRecovery(plate, params, minOD);
+        const passes = this.evaluateStandardLevels(levels);
+
+        const levelsPassed = passes.filter(Boolean).length;
+        const levelsTotal = levels.length;
+
+        return {
+            passed: levelsTotal > 0 && (levelsPassed / levelsTotal) * 100 >= minLevelsPass,
+            levelsPassed,
+            levelsTotal,
+            failedLevels: levels.filter((_, idx) => !passes[idx]).map(level => level.conc)
+        };
+    }
+
+    /**
+     * Mark plates whose standards fail the acceptance criteria on the tabs and status grid
+     */
+    updatePlateQCIndicators() {
+        this.plates.forEach((_, plateIndex) => {
+            const params = this.plateParams[plateIndex];
+            const failed = !!(params && params.qc && !params.qc.passed);
+            const title = failed
+                ? `Standards failed acceptance: ${params.qc.levelsPassed}/${params.qc.levelsTotal} levels passed`
+                : '';
+
+            const tab = document.querySelector(`.plate-tab[data-plate="${plateIndex + 1}"]`);
+            if (tab) {
+                tab.classList.toggle('qc-fail', failed);
+                tab.title = title;
+            }
+            const statusItem = document.querySelector(`.plate-status-item[data-plate="${plateIndex + 1}"]`);
+            if (statusItem) {
+                statusItem.classList.toggle('qc-fail', failed);
+                statusItem.title = title;
+            }
+        });
+    }
+
+    /**
+     * Determine LOD, LLOQ and ULOQ for a plate
+     * LOD: mean + 3 SD of the blank replicates, converted through the curve
+     * (mean - 3 SD for decreasing curves).
+     * LLOQ/ULOQ: lowest and highest standard of the longest run of consecutive levels
+     * that pass the acceptance criteria (see evaluateStandardLevels); the lowest level of a run
+     * is its LLOQ candidate.
+     * Blanks excluded by hand do not count towards the LOD.
+     * @returns {object} {lod, lodOD, lloq, uloq}
+     */
+    calculateQuantitationLimits(plate, params, minOD) {
+        // LOD from blank replicates
+        const blankODs = Object.values(plate)
+            .filter(d => d.type === 'blank' && d.absorbance !== null && !d.excluded)
+            .map(d => d.absorbance - minOD);
+
+        let lod = null;
+        let lodOD = null;
+        if (blankODs.length >= 2) {
+            const standardConcs = Object.values(plate)
+                .filter(d => d.type === 'standard' && d.concentration !== null && d.absorbance !== null)
+                .map(d => d.concentration);
+            const range = this.getCurveResponseRange(params, standardConcs);
+            const increasing = range ? range.increasing : true;
+            const sd = Math.sqrt(StatisticsUtils.variance(blankODs));
+            lodOD = StatisticsUtils.mean(blankODs) + (increasing ? 3 : -3) * sd;
+            lod = this.curveFitter.calculateConcentration(lodOD, params);
+        }
+
+        // LLOQ/ULOQ from standard recovery and precision
+        const levels = this.calculateStandardRecovery(plate, params, minOD);
+
+        // Each level in turn as the bottom of a run, judged with the LLOQ tolerance
+        let best = { start: -1, length: 0 };
+        levels.forEach((_, start) => {
+            const passes = this.evaluateStandardLevels(levels, start);
+            let length = 0;
+            while (start + length < levels.length && passes[start + length]) length++;
+            if (length > best.length) best = { start, length };
+        });
+
+        const lloq = best.length > 0 ? levels[best.start].conc : null;
+        const uloq = best.length > 0 ? levels[best.start + best.length - 1].conc : null;
+
+        return { lod, lodOD, lloq, uloq };
+    }
+
+    /**
+     * Response of a curve at the low and high end of its concentration range, for any model
+     * Only 4PL/5PL have asymptotes (A, D), so the curve is evaluated at the lowest and highest
+     * standard; without standards at the quantitation limits, and as a last resort at A and D.
+     * @param {object} params - Plate parameters
+     * @param {number[]} concs - Standard concentrations (defaults to the wells the curve was fitted on)
+     * @returns {object|null} {low, high, increasing}, null if the range is unknown
+     */
+    getCurveResponseRange(params, concs = (params.residuals || []).map(r => r.x)) {
+        // Log-x models have no response at 0
+        let range = concs.filter(c => c > 0 && isFinite(c));
+        const limits = params.limits;
+        if (range.length < 2 && limits && limits.lloq > 0 && limits.uloq > 0) {
+            range = [limits.lloq, limits.uloq];
+        }
+
+        let low = null;
+        let high = null;
+        if (range.length >= 2 && Math.min(...range) < Math.max(...range)) {
+            low = this.curveFitter.evaluate(Math.min(...range), params);
+            high = this.curveFitter.evaluate(Math.max(...range), params);
+        } else if (isFinite(params.A) && isFinite(params.D)) {
+            low = params.A;
+            high = params.D;
+        }
+        // Number.isFinite: a missing response (null) must not pass as 0
+        if (!Number.isFinite(low) || !Number.isFinite(high)) return null;
+
+        return { low, high, increasing: high > low };
+    }
+
+    /**
+     * Classify a sample well against the plate's quantitation range
+     * @param {number|null} calcConc - Back-calculated (undiluted) concentration
+     * @param {number} absorbance - Corrected absorbance
+     * @param {object} params - Plate parameters including limits
+     * @returns {string} '<LLOQ', '>ULOQ' or 'quantifiable'
+     */
+    classifyQuantitation(calcConc, absorbance, params) {
+        if (calcConc === null) {
+            // Off the curve: decide by which end of the curve the OD is closer to
+            const range = this.getCurveResponseRange(params);
+            if (!range) return '>ULOQ';
+            return Math.abs(absorbance - range.low) < Math.abs(absorbance - range.high) ? '<LLOQ' : '>ULOQ';
+        }
+
+        const limits = params.limits || {};
+        if (limits.lloq !== null && limits.lloq !== undefined && calcConc < limits.lloq) return '<LLOQ';
+        if (limits.uloq !== null && limits.uloq !== undefined && calcConc > limits.uloq) return '>ULOQ';
+        return 'quantifiable';
+    }
+
+    /**
+     * Standard errors and 95% confidence intervals for the fitted parameters
+     * @param {object} params - Fitted parameters
+     * @param {object|null} covariance - Result of CurveFitter.calculateCovariance
+     * @returns {object} {covariance, covarianceParams, dof, residualVariance, tCritical, paramStats}
+     *                   where paramStats = {name: {se, lower, upper}}
+     */
+    calculateParameterConfidence(params, covariance) {
+        if (!covariance) {
+            return { covariance: null, covarianceParams: null, dof: null, residualVariance: null, tCritical: null, paramStats: null };
+        }
+
+        const tCrit = StatisticsUtils.tCritical(covariance.dof, 0.05);
+        const paramStats = {};
+        covariance.paramNames.forEach(name => {
+            const se = covariance.standardErrors[name];
+            paramStats[name] = isFinite(se)
+                ? { se, lower: params[name] - tCrit * se, upper: params[name] + tCrit * se }
+                : { se: null, lower: null, upper: null };
+        });
+
+        return {
+            covariance: covariance.covariance,
+            covarianceParams: covariance.paramNames,
+            dof: covariance.dof,
+            residualVariance: covariance.residualVariance,
+            tCritical: tCrit,
+            paramStats
+        };
+    }
+
+    /**
+     * Format "± SE [lower, upper]" for a parameter, with its constraint status
+     */
+    formatParameterCI(stats, status = 'free') {
+        if (status === 'fixed') return 'fixed';
+        const note = { 'at-bound': ' · at bound', shared: ' · shared' }[status] || '';
+        if (!stats || stats.se === null) return note.replace(' · ', '');
+        return `± ${stats.se.toPrecision(3)} (95% CI ${stats.lower.toFixed(4)} – ${stats.upper.toFixed(4)})${note}`;
+    }
+
+    /**
+     * Whether a fitted parameter was fixed, ended on one of its bounds, is shared by a global fit, or is free
+     * @returns {string} 'fixed' | 'at-bound' | 'shared' | 'free'
+     */
+    getParameterConstraintStatus(params, name) {
+        if (params.fixedParams && params.fixedParams.includes(name)) return 'fixed';
+
+        const bounds = params.bounds;
+        if (bounds) {
+            const value = params[name];
+            const near = limit => isFinite(limit) && Math.abs(value - limit) <= 1e-9 * Math.max(1, Math.abs(limit));
+            if (near(bounds.lower[name]) || near(bounds.upper[name])) return 'at-bound';
+        }
+        if (params.sharedParams && params.sharedParams.includes(name)) return 'shared';
+        return 'free';
+    }
+
+    /**
+     * Display parameters
+     */
+    displayParameters(params, rSquared) {
+        const model = params.model || '4PL';
+        const names = this.curveFitter.getParamNames(model);
+        const labels = this.getParameterLabels(model);
+
+        // Only show the parameter slots the model uses
+        ['A', 'B', 'C', 'D', 'E'].forEach(name => {
+            const used = names.includes(name);
+            document.getElementById(`param${name}Item`).style.display = used ? '' : 'none';
+            document.getElementById(`param${name}Label`).textContent = labels[name] || name;
+            document.getElementById(`param${name}`).textContent = used ? this.formatParamValue(params[name]) : '-';
+
+            const stats = used && params.paramStats ? params.paramStats[name] : null;
+            const resampled = used && params.resampling ? params.resampling.params[name] : null;
+            document.getElementById(`param${name}CI`).textContent = used
+                ? this.formatParameterCI(stats, this.getParameterConstraintStatus(params, name)) +
+                    (resampled ? ` · ${this.formatResamplingLabel(params.resampling)} ${resampled.lower.toFixed(4)} – ${resampled.upper.toFixed(4)}` : '')
+                : '';
+        });
+        document.getElementById('paramWeighting').textContent = this.formatWeighting(params.weighting) +
+            (params.robust ? ` · ${this.formatRobustSummary(params.robust)}` : '');
+
+        // EC50 (differs from C for 5PL), with its resampling interval once available
+        const ec50 = this.curveFitter.calculateEC50(params);
+        const ec50Interval = params.resampling ? params.resampling.ec50 : null;
+        document.getElementById('paramEC50Item').style.display = ec50 !== null ? '' : 'none';
+        document.getElementById('paramEC50').textContent = ec50 !== null
+            ? ec50.toFixed(4) + (ec50Interval ? ` (${this.formatResamplingLabel(params.resampling)} ${ec50Interval.lower.toFixed(4)} – ${ec50Interval.upper.toFixed(4)})` : '')
+            : '-';
+        document.getElementById('paramR2').textContent = params.adjustedRSquared !== null && params.adjustedRSquared !== undefined
+            ? `${rSquared.toFixed(6)} (adj. ${params.adjustedRSquared.toFixed(6)}, ${params.freeParams.length} free params)`
+            : rSquared.toFixed(6);
+
+        // Quantitation limits
+        const limits = params.limits;
+        const formatLimit = v => (v !== null && v !== undefined ? v.toFixed(3) : 'n/a');
+        document.getElementById('paramLimits').textContent = limits
+            ? `${formatLimit(limits.lod)} / ${formatLimit(limits.lloq)} / ${formatLimit(limits.uloq)}`
+            : '-';
+
+        // Pure error vs lack of fit (only available when fitting individual replicate wells)
+        const lof = params.lackOfFit;
+        document.getElementById('paramLackOfFitItem').style.display = lof ? '' : 'none';
+        document.getElementById('paramLackOfFit').textContent = lof
+            ? `SS pure error ${lof.ssPureError.toExponential(3)} (df ${lof.dfPureError}) · SS lack of fit ${lof.ssLackOfFit.toExponential(3)} (df ${lof.dfLackOfFit}) · F = ${lof.fValue.toFixed(3)}, p = ${lof.pValue.toFixed(4)}`
+            : '-';
+
+        // Reference curve used instead of a fit of this plate's standards
+        const reference = params.referenceCurve;
+        document.getElementById('paramReferenceItem').style.display = reference ? '' : 'none';
+        document.getElementById('paramReference').textContent = reference
+            ? this.formatReferenceCurve(reference)
+            : '-';
+
+        // Pooling F-test of the global fit (shared parameters vs. independent fits)
+        const globalFit = params.globalFit;
+        document.getElementById('paramGlobalFitItem').style.display = globalFit ? '' : 'none';
+        document.getElementById('paramGlobalFit').textContent = globalFit
+            ? this.formatGlobalFitSummary(globalFit)
+            : '-';
+
+        this.displayDiagnostics(params.diagnostics || null);
+        this.displayModelComparison(params);
+
+        this.updateModelEquation(model);
+
+        // Update fitted equation display
+        const equationEl = document.getElementById('fittedEquation');
+        if (equationEl) {
+            if (model === 'spline') {
+                equationEl.textContent = `Interpolating ${params.knots.u.length} standard level means`;
+            } else {
+                const values = {};
+                names.forEach(name => {
+                    values[name] = this.formatParamValue(params[name]);
+                });
+                equationEl.innerHTML = this.formatModelEquation(model, values);
             }
         }
+    }
 
-        if (!anySuccess) {
-            alert('Could not fit any curves. Ensure at least one plate has 4+ standards.');
-            return;
+    /**
+     * One-line summary of a global fit and its pooling F-test
+     */
+    formatGlobalFitSummary(globalFit) {
+        const shared = globalFit.sharedParams.length > 0 ? globalFit.sharedParams.join(', ') : 'none';
+        const plates = globalFit.plates.map(i => this.getPlateLabel(i)).join(', ');
+        let text = `Shared ${shared} across ${plates} · SSR ${globalFit.ssr.toExponential(3)} (${globalFit.parameterCount} params) vs. independent ${globalFit.independentSSR.toExponential(3)} (${globalFit.independentParameterCount} params)`;
+        if (globalFit.pValue !== null) {
+            const verdict = globalFit.poolingJustified ? 'pooling justified' : 'plates differ, pooling not justified';
+            text += ` · F(${globalFit.df1}, ${globalFit.df2}) = ${globalFit.fValue.toFixed(3)}, p = ${globalFit.pValue.toFixed(4)} → ${verdict}`;
         }
+        return text;
+    }
 
-        // Update display for current plate
-        this.fittedParams = this.plateParams[this.currentPlateIndex];
-        if (this.fittedParams) {
-            this.displayParameters(this.fittedParams, this.fittedParams.rSquared);
-            this.updateChartForCurrentPlate();
-        } else {
-            this.clearParameters();
-            this.chartManager.clear();
-            const firstFittedIndex = this.plateParams.findIndex(p => p !== null);
-            if (firstFittedIndex !== -1 && confirm(`Current plate has no curve. Switch to Plate ${firstFittedIndex + 1}?`)) {
-                this.switchPlate(firstFittedIndex);
-                return; // switchPlate calls updateCalculations implicitly via UI update flow? No, explicitly call it.
+    /**
+     * Display labels of the parameters of a model
+     * @param {string} model - Model identifier
+     * @returns {object} Label per parameter name
+     */
+    getParameterLabels(model) {
+        switch (model) {
+            case 'linear':
+            case 'semilog':
+                return { A: 'A (Intercept)', B: 'B (Slope)' };
+            case 'loglog':
+                return { A: 'A (log Intercept)', B: 'B (log Slope)' };
+            case 'quadratic':
+                return { A: 'A (Intercept)', B: 'B (Linear)', C: 'C (Quadratic)' };
+            default:
+                return { A: 'A (Min)', B: 'B (Slope)', C: 'C (EC50)', D: 'D (Max)', E: 'E (Asymmetry)' };
+        }
+    }
+
+    /**
+     * Format a parameter estimate (tiny coefficients, e.g. quadratic terms, in exponent form)
+     */
+    formatParamValue(value) {
+        return value !== 0 && Math.abs(value) < 1e-3 ? value.toExponential(3) : value.toFixed(4);
+    }
+
+    /**
+     * Build the equation HTML of a model
+     * @param {string} model - Model identifier
+     * @param {object} v - Text for each parameter (symbols or fitted values)
+     * @returns {string} Equation HTML
+     */
+    formatModelEquation(model, v) {
+        // "+ -0.5" reads badly, fold the sign of fitted values into the operator
+        const plus = s => (String(s).startsWith('-') ? ` - ${String(s).slice(1)}` : ` + ${s}`);
+
+        switch (model) {
+            case 'linear':
+                return `y = ${v.A}${plus(v.B)}·x`;
+            case 'semilog':
+                return `y = ${v.A}${plus(v.B)}·log<sub>10</sub>(x)`;
+            case 'loglog':
+                return `log<sub>10</sub>(y) = ${v.A}${plus(v.B)}·log<sub>10</sub>(x)`;
+            case 'quadratic':
+                return `y = ${v.A}${plus(v.B)}·x${plus(v.C)}·x<sup>2</sup>`;
+            case 'spline':
+                return 'y = S(log<sub>10</sub> x), natural cubic spline through the standards';
+            default: {
+                const denominator = model === '5PL'
+                    ? `[1 + (x / ${v.C})<sup>${v.B}</sup>]<sup>${v.E}</sup>`
+                    : `1 + (x / ${v.C})<sup>${v.B}</sup>`;
+                return `y = ${v.D} + <span class="fraction"><span class="numerator">${v.A} - ${v.D}</span><span class="denominator">${denominator}</span></span>`;
             }
         }
+    }
 
-        this.updateCalculations();
-        alert('Approximation curves created for all plates.');
+    /**
+     * Format a weighting scheme for display
+     */
+    formatWeighting(weighting) {
+        const labels = { '1/y': '1/Y', '1/y2': '1/Y²', '1/x2': '1/X²' };
+        return labels[weighting] || 'None';
     }
 
     /**
-     * Display parameters
+     * Short description of a robust (IRLS) fit, e.g. "Huber IRLS, 2 points down-weighted"
      */
-    displayParameters(params, rSquared) {
-        document.getElementById('paramA').textContent = params.A.toFixed(4);
-        document.getElementById('paramB').textContent = params.B.toFixed(4);
-        document.getElementById('paramC').textContent = params.C.toFixed(4);
-        document.getElementById('paramD').textContent = params.D.toFixed(4);
-        document.getElementById('paramR2').textContent = rSquared.toFixed(6);
+    formatRobustSummary(robust) {
+        const label = robust.loss === 'bisquare' ? 'Bisquare' : 'Huber';
+        const downweighted = robust.weights.filter(p => p.weight < 1).length;
+        return `${label} IRLS, ${downweighted} point${downweighted === 1 ? '' : 's'} down-weighted`;
+    }
 
-        // Update fitted equation display
-        const equationEl = document.getElementById('fittedEquation');
-        if (equationEl) {
-            const A = params.A.toFixed(4);
-            const B = params.B.toFixed(4);
-            const C = params.C.toFixed(4);
-            const D = params.D.toFixed(4);
+    /**
+     * Final IRLS weight of a standard well: per well when replicates were fitted, otherwise the weight of its level mean
+     * @returns {number|null} null when the plate was not fitted robustly or the well was not in the fit
+     */
+    getRobustWeight(params, wellId, conc) {
+        if (!params || !params.robust) return null;
+        const point = params.fitMode === 'replicates'
+            ? params.robust.weights.find(p => p.wellId === wellId)
+            : params.robust.weights.find(p => p.x === conc);
+        return point ? point.weight : null;
+    }
+
+    /**
+     * Update the model title and generic equation for the given regression model
+     */
+    updateModelEquation(model) {
+        const titleEl = document.getElementById('parametersTitle');
+        if (titleEl) titleEl.textContent = `🔬 ${this.curveFitter.getModelLabel(model)} Parameters`;
 
-            equationEl.innerHTML = `y = ${D} + <span class="fraction"><span class="numerator">${A} - ${D}</span><span class="denominator">1 + (x / ${C})<sup>${B}</sup></span></span>`;
+        const modelEquationEl = document.getElementById('modelEquation');
+        if (modelEquationEl) {
+            modelEquationEl.innerHTML = this.formatModelEquation(model, { A: 'a', B: 'b', C: 'c', D: 'd', E: 'e' });
         }
     }
 
@@ -944,12 +3156,79 @@ class ELISAPlateAnalyzer {
         document.getElementById('paramB').textContent = '-';
         document.getElementById('paramC').textContent = '-';
         document.getElementById('paramD').textContent = '-';
+        document.getElementById('paramE').textContent = '-';
+        document.getElementById('paramEItem').style.display = 'none';
+        document.getElementById('paramEC50').textContent = '-';
+        document.getElementById('paramEC50Item').style.display = 'none';
+        const labels = this.getParameterLabels('4PL');
+        ['A', 'B', 'C', 'D', 'E'].forEach(name => {
+            document.getElementById(`param${name}CI`).textContent = '';
+            document.getElementById(`param${name}Label`).textContent = labels[name];
+        });
+        ['A', 'B', 'C', 'D'].forEach(name => {
+            document.getElementById(`param${name}Item`).style.display = '';
+        });
+        document.getElementById('paramWeighting').textContent = '-';
         document.getElementById('paramR2').textContent = '-';
+        document.getElementById('paramLackOfFit').textContent = '-';
+        document.getElementById('paramLackOfFitItem').style.display = 'none';
+        document.getElementById('paramGlobalFit').textContent = '-';
+        document.getElementById('paramGlobalFitItem').style.display = 'none';
+        document.getElementById('paramReference').textContent = '-';
+        document.getElementById('paramReferenceItem').style.display = 'none';
+        document.getElementById('paramLimits').textContent = '-';
 
         const equationEl = document.getElementById('fittedEquation');
         if (equationEl) {
             equationEl.innerHTML = '<span class="placeholder-text">Fit the curve to see the equation</span>';
         }
+
+        this.displayDiagnostics(null);
+        this.displayModelComparison(null);
+        if (this.residualChartManager) this.residualChartManager.clear();
+    }
+
+    /**
+     * Show the fit diagnostics (SSR, RMSE, optimizer iterations and stop reason)
+     * @param {object|null} diagnostics - Diagnostics from CurveFitter.fit, or null to clear
+     */
+    displayDiagnostics(diagnostics) {
+        const reasons = {
+            'converged-ssr': 'Converged (ΔSSR < tol)',
+            'converged-step': 'Converged (step < tol)',
+            'converged-gradient': 'Converged (gradient ≈ 0)',
+            'max-iterations': 'Max. iterations reached',
+            'lambda-limit': 'Damping limit reached',
+            'closed-form': 'Closed-form solution',
+            'all-fixed': 'All parameters fixed'
+        };
+
+        const ssrEl = document.getElementById('diagSSR');
+        if (!ssrEl) return;
+
+        const lambdaEl = document.getElementById('diagLambdaLimit');
+        if (!diagnostics) {
+            ssrEl.textContent = '-';
+            document.getElementById('diagRMSE').textContent = '-';
+            document.getElementById('diagIterations').textContent = '-';
+            document.getElementById('diagConvergence').textContent = '-';
+            document.getElementById('diagStarts').textContent = '-';
+            lambdaEl.textContent = '-';
+            lambdaEl.classList.remove('diag-warning');
+            return;
+        }
+
+        ssrEl.textContent = diagnostics.ssr.toExponential(4);
+        document.getElementById('diagRMSE').textContent = diagnostics.rmse.toExponential(4);
+        document.getElementById('diagIterations').textContent = diagnostics.iterations;
+        document.getElementById('diagConvergence').textContent = reasons[diagnostics.reason] || diagnostics.reason;
+        document.getElementById('diagStarts').textContent = diagnostics.starts
+            ? `Start ${diagnostics.bestStart + 1} of ${diagnostics.starts} (${diagnostics.convergedStarts} converged)`
+            : '-';
+        lambdaEl.textContent = diagnostics.hitLambdaLimit
+            ? `Yes (λ = ${diagnostics.finalLambda.toExponential(1)})`
+            : 'No';
+        lambdaEl.classList.toggle('diag-warning', diagnostics.hitLambdaLimit);
     }
 
     /**
@@ -960,26 +3239,14 @@ class ELISAPlateAnalyzer {
         const resultsData = [];
         const samplesResultMap = new Map();
         let globalWellIndex = 0;
-
-        // Define specific order: Column pairs (1-2, 3-4...) then Rows (A-H)
-        const wellOrder = [];
-        for (let pair = 0; pair < 6; pair++) {
-            const col1 = pair * 2 + 1;
-            const col2 = pair * 2 + 2;
-            this.rows.forEach(row => {
-                wellOrder.push(`${row}${col1}`);
-                wellOrder.push(`${row}${col2}`);
-            });
-        }
+        const settings = this.getFitSettings();
 
         // Calculate for all plates
         this.plates.forEach((plate, plateIdx) => {
             const params = this.plateParams[plateIdx];
-            // Get current settings
-            const subtractMinEl = document.getElementById('settingSubtractMin');
-            const subtractMin = subtractMinEl ? subtractMinEl.checked : false;
-
-            const minOD = (subtractMin && this.plateMinODs) ? this.plateMinODs[plateIdx] : 0;
+            // Replicates next to each other (see getReplicateGroups)
+            const wellOrder = this.getWellOrder(plate);
+            const minOD = (settings.subtractMin && this.plateMinODs) ? this.plateMinODs[plateIdx] : 0;
 
             wellOrder.forEach(wellId => {
                 const data = plate[wellId];
@@ -990,15 +3257,44 @@ class ELISAPlateAnalyzer {
                 // Apply MinOD correction
                 const correctedAbs = data.absorbance !== null ? data.absorbance - minOD : null;
 
-                // If we have params and absorbance, calculate
+                // If we have params and absorbance, calculate (with 95% CI from the parameter covariance)
+                let calcCI = null;
                 if (params && correctedAbs !== null && (data.type === 'sample' || data.type === 'standard')) {
                     calcConc = this.curveFitter.calculateConcentration(correctedAbs, params);
+                    calcCI = calcConc !== null ? this.curveFitter.calculateConcentrationCI(correctedAbs, params) : null;
                     data.calculatedConcentration = calcConc;
                 } else {
                     data.calculatedConcentration = null;
                 }
+                data.calculatedConcentrationCI = calcCI;
+                data.resampledCI = params && params.resampling && calcConc !== null
+                    ? params.resampling.samples[wellId] || null
+                    : null;
+                data.quantFlag = params && data.type === 'sample' && correctedAbs !== null
+                    ? this.classifyQuantitation(calcConc, correctedAbs, params)
+                    : null;
+                // A reader overflow is above any curve's range
+                if (params && data.type === 'sample' && data.overflow) {
+                    data.quantFlag = '>ULOQ';
+                }
 
-                if (data.type === 'sample' && correctedAbs !== null) {
+                if (data.type === 'sample' && data.overflow) {
+                    resultsData.push({
+                        wellId: this.getResultWellId(plateIdx, wellId),
+                        name: data.name,
+                        type: data.type,
+                        absorbance: null,
+                        dilution: data.dilution,
+                        calculatedConc: null,
+                        calculatedCI: null,
+                        finalConc: null,
+                        finalCI: null,
+                        flag: data.quantFlag,
+                        signal: 'overflow',
+                        sortIndex: globalWellIndex
+                    });
+                    data.finalConcentration = null;
+                } else if (data.type === 'sample' && correctedAbs !== null) {
                     // Calculated Conc should be dilution corrected (ng/mL)
                     const dilutedConc = calcConc !== null ? calcConc * data.dilution : null;
                     // Final Conc: #0-a and #0-b use 0.005, others use 0.01 (µg / 1M cells)
@@ -1006,6 +3302,14 @@ class ELISAPlateAnalyzer {
                     const conversionFactor = is0Sample ? 0.005 : 0.01;
                     const finalConc = dilutedConc !== null ? dilutedConc * conversionFactor : null;
 
+                    // Carry the CI through the same dilution and cell-number conversion
+                    const dilutedCI = calcCI
+                        ? { lower: calcCI.lower * data.dilution, upper: calcCI.upper * data.dilution }
+                        : null;
+                    const finalCI = dilutedCI
+                        ? { lower: dilutedCI.lower * conversionFactor, upper: dilutedCI.upper * conversionFactor }
+                        : null;
+
                     // Save to data object for chart generation
                     data.finalConcentration = finalConc;
 
@@ -1019,7 +3323,7 @@ class ELISAPlateAnalyzer {
                     }
 
                     // Add to results table data directly (no grouping)
-                    const displayWellId = `P${plateIdx + 1}-${wellId}`;
+                    const displayWellId = this.getResultWellId(plateIdx, wellId);
                     resultsData.push({
                         wellId: displayWellId,
                         name: data.name,
@@ -1027,7 +3331,16 @@ class ELISAPlateAnalyzer {
                         absorbance: correctedAbs,
                         dilution: data.dilution,
                         calculatedConc: dilutedConc,
+                        calculatedCI: dilutedCI,
+                        resampledCI: data.resampledCI
+                            ? { lower: data.resampledCI.lower * data.dilution, upper: data.resampledCI.upper * data.dilution }
+                            : null,
+                        resamplingLabel: data.resampledCI ? this.formatResamplingLabel(params.resampling) : null,
                         finalConc: finalConc,
+                        finalCI: finalCI,
+                        flag: data.quantFlag,
+                        signal: this.getWellSignalFlag(wellId, plateIdx, settings),
+                        referenceCurve: params && params.referenceCurve ? params.referenceCurve : null,
                         sortIndex: globalWellIndex // Maintain original order
                     });
                 }
@@ -1044,7 +3357,283 @@ class ELISAPlateAnalyzer {
             .map(s => ({ x: s.x, y: s.y }));
 
         this.chartManager.updateSamples(currentPlateSamples);
+
+        // Samples measured at several dilutions: flag wells of samples with a matrix effect
+        this.dilutionAssessments = this.assessDilutionLinearity();
+        const matrixEffectWells = new Set();
+        this.dilutionAssessments
+            .filter(a => a.matrixEffect)
+            .forEach(a => a.wellIds.forEach(wellId => matrixEffectWells.add(this.getResultWellId(a.plateIdx, wellId))));
+        resultsData.forEach(result => {
+            result.matrixEffect = matrixEffectWells.has(result.wellId);
+        });
+
+        // Technical replicates: flag wells of replicate sets scattering by more than the CV limit
+        this.replicateAggregates = this.aggregateSampleReplicates();
+        const highCvWells = new Set();
+        this.replicateAggregates
+            .filter(a => a.highCv)
+            .forEach(a => a.wellIds.forEach(wellId => highCvWells.add(this.getResultWellId(a.plateIdx, wellId))));
+        resultsData.forEach(result => {
+            result.highReplicateCv = highCvWells.has(result.wellId);
+        });
+
         this.updateResultsTable(resultsData);
+        this.displayReplicateAggregates(this.replicateAggregates);
+        this.displayDilutionLinearity(this.dilutionAssessments);
+    }
+
+    /**
+     * Average the technical replicates of each sample on each plate
+     * A replicate set is the wells of one replicate group (Replicate Layout setting) with the
+     * same sample name and a calculated concentration. With "include flagged" off, wells outside
+     * LLOQ–ULOQ are left out, as the condition statistics only see these means.
+     * @returns {object[]} [{plateIdx, sample, wellIds, n, dilution, mean, sd, cv, finalMean, highCv}],
+     *                     concentrations dilution-corrected (ng/mL), sd/cv null for a single well
+     */
+    aggregateSampleReplicates() {
+        const { replicatePattern, replicateCvLimit, includeFlagged } = this.getFitSettings();
+        const aggregates = [];
+
+        this.plates.forEach((plate, plateIdx) => {
+            this.getReplicateGroups(plate, replicatePattern).forEach(group => {
+                const sets = new Map();
+                group.forEach(wellId => {
+                    const data = plate[wellId];
+                    if (data.type !== 'sample' || data.calculatedConcentration === null || data.calculatedConcentration === undefined) return;
+                    if (!includeFlagged && data.quantFlag && data.quantFlag !== 'quantifiable') return;
+                    if (!sets.has(data.name)) sets.set(data.name, []);
+                    sets.get(data.name).push(wellId);
+                });
+
+                sets.forEach((wellIds, sample) => {
+                    const dilution = plate[wellIds[0]].dilution || 1;
+                    const values = wellIds.map(wellId => plate[wellId].calculatedConcentration * (plate[wellId].dilution || 1));
+                    const mean = StatisticsUtils.mean(values);
+                    const sd = values.length > 1 ? Math.sqrt(StatisticsUtils.variance(values)) : null;
+                    const cv = sd !== null && mean !== 0 ? sd / Math.abs(mean) * 100 : null;
+                    // Final Conc: #0-a and #0-b use 0.005, others use 0.01 (µg / 1M cells)
+                    const is0Sample = sample.includes('#0-a') || sample.includes('#0-b');
+                    const conversionFactor = is0Sample ? 0.005 : 0.01;
+
+                    aggregates.push({
+                        plateIdx,
+                        sample,
+                        wellIds,
+                        n: values.length,
+                        dilution,
+                        mean,
+                        sd,
+                        cv,
+                        finalMean: mean * conversionFactor,
+                        highCv: cv !== null && cv > replicateCvLimit
+                    });
+                });
+            });
+        });
+
+        return aggregates;
+    }
+
+    /**
+     * Fill the sample replicates table
+     * @param {object[]} aggregates - Result of aggregateSampleReplicates
+     */
+    displayReplicateAggregates(aggregates) {
+        const section = document.getElementById('replicateMeansSection');
+        if (!section) return;
+
+        if (!aggregates || aggregates.length === 0) {
+            section.style.display = 'none';
+            return;
+        }
+        section.style.display = '';
+
+        const tbody = document.getElementById('replicateMeansBody');
+        tbody.innerHTML = '';
+
+        aggregates.forEach(a => {
+            const row = document.createElement('tr');
+            row.innerHTML = `
+                <td></td>
+                <td></td>
+                <td>${a.wellIds.join(', ')}</td>
+                <td>${a.n}</td>
+                <td>${a.mean.toFixed(4)}</td>
+                <td>${a.sd !== null ? a.sd.toFixed(4) : '-'}</td>
+                <td${a.highCv ? ' class="high-cv"' : ''}>${a.cv !== null ? a.cv.toFixed(1) + '%' : '-'}</td>
+                <td><strong>${a.finalMean.toFixed(4)}</strong></td>
+            `;
+            // Plate and sample names are user text
+            row.cells[0].textContent = this.getPlateLabel(a.plateIdx);
+            row.cells[1].textContent = a.sample;
+            tbody.appendChild(row);
+        });
+    }
+
+    /**
+     * Sample name without dilution factor and replicate number
+     * "S1 #2 (50x)" -> "S1", so the same sample at 10x and 50x groups together.
+     */
+    getSampleBaseName(name) {
+        return (name || '')
+            .replace(/\s*\(\d+x\)\s*/gi, ' ')          // Remove (10x)
+            .replace(/(?:^|\s)\d+x(?=\s|$)/gi, ' ')     // Remove 10x
+            .replace(/\s*#\d+(?![-\w])/g, ' ')          // Remove #1 but keep #0-a
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+
+    /**
+     * Check that samples measured at several dilutions dilute like the standard
+     * Groups the samples of each plate by name across dilutions and uses the quantifiable wells.
+     * A sample has a matrix effect when its dilution-corrected concentrations scatter by more
+     * than the CV limit, or its dilution series is not parallel to the standard curve.
+     * @returns {object[]} [{plateIdx, sample, wellIds, dilutions: [{dilution, n, mean, recovery}], cv,
+     *                     linearity, parallelism, status: 'pass' | 'matrix-effect' | 'insufficient',
+     *                     reasons, matrixEffect}]
+     */
+    assessDilutionLinearity() {
+        const { subtractMin, dilutionCvLimit, parallelismAlpha } = this.getFitSettings();
+        const assessments = [];
+
+        this.plates.forEach((plate, plateIdx) => {
+            const params = this.plateParams[plateIdx];
+            if (!params) return;
+            const minOD = (subtractMin && this.plateMinODs) ? this.plateMinODs[plateIdx] : 0;
+
+            const groups = new Map();
+            Object.entries(plate).forEach(([wellId, data]) => {
+                if (data.type !== 'sample' || data.absorbance === null) return;
+                const sample = this.getSampleBaseName(data.name);
+                if (!sample) return;
+                if (!groups.has(sample)) groups.set(sample, []);
+                groups.get(sample).push({ wellId, data });
+            });
+
+            groups.forEach((wells, sample) => {
+                // Only samples that were actually measured at more than one dilution
+                if (new Set(wells.map(w => w.data.dilution)).size < 2) return;
+
+                const usable = wells
+                    .map(w => w.data)
+                    .filter(d => d.calculatedConcentration > 0 && (!d.quantFlag || d.quantFlag === 'quantifiable'));
+
+                const byDilution = new Map();
+                usable.forEach(d => {
+                    if (!byDilution.has(d.dilution)) byDilution.set(d.dilution, []);
+                    byDilution.get(d.dilution).push(d.calculatedConcentration * d.dilution);
+                });
+                const dilutions = Array.from(byDilution.entries())
+                    .sort((a, b) => a[0] - b[0])
+                    .map(([dilution, values]) => ({ dilution, n: values.length, mean: StatisticsUtils.mean(values) }));
+
+                const assessment = {
+                    plateIdx,
+                    sample,
+                    wellIds: wells.map(w => w.wellId),
+                    dilutions,
+                    cv: null,
+                    linearity: null,
+                    parallelism: null,
+                    status: 'insufficient',
+                    reasons: [],
+                    matrixEffect: false
+                };
+                assessments.push(assessment);
+
+                if (dilutions.length < 2) {
+                    assessment.reasons.push('fewer than 2 dilutions within LLOQ–ULOQ');
+                    return;
+                }
+
+                // Between-dilution CV of the dilution-corrected means
+                const means = dilutions.map(d => d.mean);
+                const grandMean = StatisticsUtils.mean(means);
+                assessment.cv = Math.sqrt(StatisticsUtils.variance(means)) / grandMean * 100;
+                dilutions.forEach(d => {
+                    d.recovery = d.mean / grandMean * 100;
+                });
+
+                // Linearity: log in-well concentration vs. log relative concentration, ideal slope 1
+                assessment.linearity = StatisticsUtils.linearRegression(
+                    usable.map(d => Math.log10(1 / d.dilution)),
+                    usable.map(d => Math.log10(d.calculatedConcentration))
+                );
+
+                // Parallelism of the sample's dilution curve against the standard curve
+                const parallelism = this.curveFitter.testParallelism(
+                    usable.map(d => ({ r: 1 / d.dilution, y: d.absorbance - minOD })),
+                    params,
+                    grandMean
+                );
+                if (parallelism) {
+                    parallelism.pValue = parallelism.fValue !== null
+                        ? StatisticsUtils.fDistributionPValue(parallelism.fValue, parallelism.df1, parallelism.df2)
+                        : null;
+                }
+                assessment.parallelism = parallelism;
+
+                if (assessment.cv > dilutionCvLimit) {
+                    assessment.reasons.push(`CV ${assessment.cv.toFixed(1)}% > ${dilutionCvLimit}%`);
+                }
+                if (parallelism && parallelism.pValue !== null && parallelism.pValue < parallelismAlpha) {
+                    assessment.reasons.push(`not parallel to standard (p = ${parallelism.pValue.toFixed(4)})`);
+                }
+                assessment.matrixEffect = assessment.reasons.length > 0;
+                assessment.status = assessment.matrixEffect ? 'matrix-effect' : 'pass';
+            });
+        });
+
+        if (assessments.length > 0) {
+            console.log('Dilutional linearity:', assessments.map(a =>
+                `${this.getPlateLabel(a.plateIdx)} ${a.sample}: ${a.status}${a.reasons.length ? ` (${a.reasons.join('; ')})` : ''}`).join(' | '));
+        }
+
+        return assessments;
+    }
+
+    /**
+     * Fill the dilutional linearity / parallelism table
+     * @param {object[]} assessments - Result of assessDilutionLinearity
+     */
+    displayDilutionLinearity(assessments) {
+        const section = document.getElementById('dilutionLinearitySection');
+        if (!section) return;
+
+        if (!assessments || assessments.length === 0) {
+            section.style.display = 'none';
+            return;
+        }
+        section.style.display = '';
+
+        const statusLabels = { pass: 'Linear', 'matrix-effect': 'Matrix effect', insufficient: 'Insufficient' };
+        const statusClasses = { pass: 'quantifiable', 'matrix-effect': 'matrix-effect', insufficient: 'below-lloq' };
+        const tbody = document.getElementById('dilutionLinearityBody');
+        tbody.innerHTML = '';
+
+        assessments.forEach(a => {
+            const concentrations = a.dilutions.map(d =>
+                `${d.dilution}x: ${d.mean.toFixed(2)}${d.recovery !== undefined ? ` (${d.recovery.toFixed(0)}%)` : ''}`).join('<br>');
+            const p = a.parallelism;
+            const row = document.createElement('tr');
+            row.innerHTML = `
+                <td></td>
+                <td></td>
+                <td><small>${concentrations || '-'}</small></td>
+                <td>${a.cv !== null ? a.cv.toFixed(1) + '%' : '-'}</td>
+                <td>${a.linearity ? `${a.linearity.slope.toFixed(3)} (${a.linearity.rSquared.toFixed(3)})` : '-'}</td>
+                <td>${p && p.pValue !== null ? `F(${p.df1}, ${p.df2}) = ${p.fValue.toFixed(2)}, p = ${p.pValue.toFixed(4)}` : '-'}</td>
+                <td>
+                    <span class="flag-badge ${statusClasses[a.status]}">${statusLabels[a.status]}</span>
+                    ${a.reasons.length > 0 ? `<span class="dilution-reasons">${a.reasons.join('; ')}</span>` : ''}
+                </td>
+            `;
+            // Plate and sample names are user text
+            row.cells[0].textContent = this.getPlateLabel(a.plateIdx);
+            row.cells[1].textContent = a.sample;
+            tbody.appendChild(row);
+        });
     }
 
 
@@ -1056,21 +3645,35 @@ class ELISAPlateAnalyzer {
         tbody.innerHTML = '';
 
         if (results.length === 0) {
-            tbody.innerHTML = '<tr><td colspan="7" style="text-align: center; color: var(--text-muted);">No sample results</td></tr>';
+            tbody.innerHTML = '<tr><td colspan="10" style="text-align: center; color: var(--text-muted);">No sample results</td></tr>';
             return;
         }
 
+        const formatCI = (ci) => (ci ? `${ci.lower.toFixed(4)} – ${ci.upper.toFixed(4)}` : '-');
+        const flagClasses = { '<LLOQ': 'below-lloq', '>ULOQ': 'above-uloq', 'quantifiable': 'quantifiable' };
+        const formatFlag = (flag) => (flag
+            ? `<span class="flag-badge ${flagClasses[flag]}">${flag.replace('<', '&lt;').replace('>', '&gt;')}</span>`
+            : '-');
+
         results.forEach(result => {
             const row = document.createElement('tr');
             row.innerHTML = `
-                <td>${result.wellId}</td>
+                <td></td>
                 <td>${result.name || '-'}</td>
                 <td><span class="badge ${result.type}">${result.type}</span></td>
-                <td>${result.absorbance.toFixed(4)}</td>
+                <td>${result.absorbance !== null ? result.absorbance.toFixed(4) : 'OVRFLW'}</td>
                 <td>${result.dilution}x</td>
                 <td>${result.calculatedConc !== null ? result.calculatedConc.toFixed(4) : 'Out of range'}</td>
+                <td><small>${formatCI(result.calculatedCI)}</small>${result.resampledCI ? `<br><small class="resampled-ci">${result.resamplingLabel}: ${formatCI(result.resampledCI)}</small>` : ''}</td>
                 <td><strong>${result.finalConc !== null ? result.finalConc.toFixed(4) : '-'}</strong> µg / 1M cells</td>
+                <td><small>${formatCI(result.finalCI)}</small></td>
+                <td>${formatFlag(result.flag)}${result.signal ? ` <span class="flag-badge signal-${result.signal}">${this.formatSignalFlag(result.signal)}</span>` : ''}${result.matrixEffect ? ' <span class="flag-badge matrix-effect">Matrix effect</span>' : ''}${result.highReplicateCv ? ' <span class="flag-badge high-cv">High replicate CV</span>' : ''}${result.referenceCurve ? ' <span class="flag-badge reference-curve">Reference curve</span>' : ''}</td>
             `;
+            // The well id carries the user's plate name
+            row.cells[0].textContent = result.wellId;
+            if (result.referenceCurve) {
+                row.querySelector('.reference-curve').title = this.formatReferenceCurve(result.referenceCurve);
+            }
             tbody.appendChild(row);
         });
     }
@@ -1080,7 +3683,20 @@ class ELISAPlateAnalyzer {
      */
     clearResultsTable() {
         const tbody = document.getElementById('resultsTableBody');
-        tbody.innerHTML = '<tr><td colspan="7" style="text-align: center; color: var(--text-muted);">No sample results</td></tr>';
+        tbody.innerHTML = '<tr><td colspan="10" style="text-align: center; color: var(--text-muted);">No sample results</td></tr>';
+        this.dilutionAssessments = [];
+        this.displayDilutionLinearity([]);
+        this.replicateAggregates = [];
+        this.displayReplicateAggregates([]);
+    }
+
+    /**
+     * Quote a CSV field, doubling embedded quotes
+     * @param {*} value - Field value
+     * @returns {string} Quoted field
+     */
+    csvField(value) {
+        return `"${String(value).replace(/"/g, '""')}"`;
     }
 
     /**
@@ -1088,20 +3704,14 @@ class ELISAPlateAnalyzer {
      */
     exportResults() {
         const results = [];
-        results.push(['Plate', 'Well', 'Name', 'Type', 'Concentration (std)', 'Absorbance', 'Dilution', 'Calculated Conc. (ng/mL)', 'Final Conc. (µg / 1M cells)'].join(','));
-
-        // Define verify specific order: Column pairs (1-2, 3-4...) then Rows (A-H)
-        const wellOrder = [];
-        for (let pair = 0; pair < 6; pair++) {
-            const col1 = pair * 2 + 1;
-            const col2 = pair * 2 + 2;
-            this.rows.forEach(row => {
-                wellOrder.push(`${row}${col1}`);
-                wellOrder.push(`${row}${col2}`);
-            });
-        }
+        const settings = this.getFitSettings();
+        results.push(['Plate', 'Well', 'Name', 'Type', 'Concentration (std)', 'Absorbance', 'Dilution', 'Calculated Conc. (ng/mL)', 'Calc. 95% CI Lower', 'Calc. 95% CI Upper', 'Final Conc. (µg / 1M cells)', 'Final 95% CI Lower', 'Final 95% CI Upper', 'Quantitation Flag', 'Excluded from Fit', 'Signal Flag', 'Resampled CI Lower (ng/mL)', 'Resampled CI Upper (ng/mL)', 'Reference Curve'].join(','));
 
         this.plates.forEach((plate, plateIdx) => {
+            const params = this.plateParams[plateIdx];
+            const reference = params && params.referenceCurve ? params.referenceCurve : null;
+            // Replicates next to each other (see getReplicateGroups)
+            const wellOrder = this.getWellOrder(plate);
             wellOrder.forEach(wellId => {
                 const data = plate[wellId];
                 if (data && data.type !== 'empty') {
@@ -1111,21 +3721,62 @@ class ELISAPlateAnalyzer {
                     const conversionFactor = is0Sample ? 0.005 : 0.01;
                     const finalConc = dilutedConc !== null ? dilutedConc * conversionFactor : null;
 
+                    const ci = data.calculatedConcentrationCI;
+                    const dilutedCI = ci ? [ci.lower * data.dilution, ci.upper * data.dilution] : null;
+                    const finalCI = dilutedCI ? dilutedCI.map(v => v * conversionFactor) : null;
+
                     results.push([
-                        plateIdx + 1,
+                        this.csvField(this.getPlateLabel(plateIdx)),
                         wellId,
-                        `"${data.name || ''}"`, // Quote name to handle commas
+                        this.csvField(data.name || ''),
                         data.type,
                         data.concentration !== null ? data.concentration : '',
-                        data.absorbance !== null ? data.absorbance.toFixed(4) : '',
+                        data.absorbance !== null ? data.absorbance.toFixed(4) : (data.overflow ? 'OVRFLW' : ''),
                         data.dilution,
                         dilutedConc !== null ? dilutedConc.toFixed(4) : '',
-                        finalConc !== null ? finalConc.toFixed(4) : ''
+                        dilutedCI ? dilutedCI[0].toFixed(4) : '',
+                        dilutedCI ? dilutedCI[1].toFixed(4) : '',
+                        finalConc !== null ? finalConc.toFixed(4) : '',
+                        finalCI ? finalCI[0].toFixed(4) : '',
+                        finalCI ? finalCI[1].toFixed(4) : '',
+                        data.type === 'sample' && data.quantFlag ? data.quantFlag : '',
+                        data.type !== 'sample' ? this.csvField(this.getWellExclusion(wellId, plateIdx) || '') : '',
+                        this.formatSignalFlag(this.getWellSignalFlag(wellId, plateIdx, settings)),
+                        data.type === 'sample' && data.resampledCI ? (data.resampledCI.lower * data.dilution).toFixed(4) : '',
+                        data.type === 'sample' && data.resampledCI ? (data.resampledCI.upper * data.dilution).toFixed(4) : '',
+                        reference ? this.csvField(this.formatReferenceCurve(reference)) : ''
                     ].join(','));
                 }
             });
         });
 
+        // Append curve parameters (estimate, SE, 95% CI) for each fitted plate
+        results.push('');
+        results.push(...this.buildParameterExportRows());
+
+        // Append the model comparison of each fitted plate
+        results.push('');
+        results.push(...this.buildModelComparisonExportRows());
+
+        // Append the replicate means of the samples
+        if (this.replicateAggregates && this.replicateAggregates.length > 0) {
+            results.push('');
+            results.push(...this.buildReplicateExportRows());
+        }
+
+        // Append the dilutional linearity / parallelism assessment
+        if (this.dilutionAssessments && this.dilutionAssessments.length > 0) {
+            results.push('');
+            results.push(...this.buildDilutionLinearityExportRows());
+        }
+
+        // Append the pooling test of a global fit
+        const globalRows = this.buildGlobalFitExportRows();
+        if (globalRows.length > 0) {
+            results.push('');
+            results.push(...globalRows);
+        }
+
         const blob = new Blob([results.join('\n')], { type: 'text/csv' });
         const url = URL.createObjectURL(blob);
         const a = document.createElement('a');
@@ -1135,6 +3786,176 @@ class ELISAPlateAnalyzer {
         URL.revokeObjectURL(url);
     }
 
+    /**
+     * Build CSV rows with the information criteria of every candidate model per plate
+     * @returns {string[]} CSV lines (header + one line per plate and model)
+     */
+    buildModelComparisonExportRows() {
+        const rows = [['Plate', 'Model', 'n', 'k', 'SSR', 'AIC', 'AICc', 'BIC', 'Delta', 'Weight', 'Best', 'In Use'].join(',')];
+        const fmt = (v) => isFinite(v) ? v.toFixed(4) : '';
+
+        this.plateParams.forEach((params, plateIdx) => {
+            if (!params || !params.modelComparison) return;
+            const comparison = params.modelComparison;
+
+            comparison.models.forEach(m => {
+                rows.push([
+                    this.csvField(this.getPlateLabel(plateIdx)),
+                    m.model,
+                    m.n,
+                    m.k,
+                    m.ssr.toExponential(6),
+                    fmt(m.aic),
+                    fmt(m.aicc),
+                    fmt(m.bic),
+                    fmt(m.delta),
+                    m.weight !== null ? m.weight.toFixed(4) : '',
+                    m.model === comparison.best ? 'yes' : '',
+                    m.model === params.model ? 'yes' : ''
+                ].join(','));
+            });
+        });
+
+        return rows;
+    }
+
+    /**
+     * Build CSV rows with the technical replicate means of each sample
+     * @returns {string[]} CSV lines (header + one line per replicate set)
+     */
+    buildReplicateExportRows() {
+        const rows = [['Plate', 'Sample', 'Wells', 'n', 'Dilution', 'Mean Conc. (ng/mL)', 'SD (ng/mL)', 'CV (%)', 'Mean Final Conc. (µg / 1M cells)', 'High CV'].join(',')];
+        const fmt = (v, digits) => (v !== null && v !== undefined && isFinite(v) ? v.toFixed(digits) : '');
+
+        this.replicateAggregates.forEach(a => {
+            rows.push([
+                this.csvField(this.getPlateLabel(a.plateIdx)),
+                this.csvField(a.sample),
+                this.csvField(a.wellIds.join(' ')),
+                a.n,
+                a.dilution,
+                fmt(a.mean, 4),
+                fmt(a.sd, 4),
+                fmt(a.cv, 2),
+                fmt(a.finalMean, 4),
+                a.highCv ? 'Yes' : ''
+            ].join(','));
+        });
+
+        return rows;
+    }
+
+    /**
+     * Build CSV rows with the dilutional linearity assessment of each sample
+     * @returns {string[]} CSV lines (header + one line per sample and dilution)
+     */
+    buildDilutionLinearityExportRows() {
+        const rows = [['Plate', 'Sample', 'Dilution', 'n', 'Dilution-corrected Conc. (ng/mL)', 'Recovery vs. Mean (%)', 'CV (%)', 'Linearity Slope', 'Linearity R2', 'Parallelism F', 'Parallelism p', 'Status', 'Reasons'].join(',')];
+        const fmt = (v, digits) => (v !== null && v !== undefined && isFinite(v) ? v.toFixed(digits) : '');
+
+        this.dilutionAssessments.forEach(a => {
+            const p = a.parallelism;
+            const shared = [
+                fmt(a.cv, 2),
+                a.linearity ? fmt(a.linearity.slope, 4) : '',
+                a.linearity ? fmt(a.linearity.rSquared, 4) : '',
+                p ? fmt(p.fValue, 4) : '',
+                p ? fmt(p.pValue, 6) : '',
+                a.status,
+                this.csvField(a.reasons.join('; '))
+            ];
+            const dilutions = a.dilutions.length > 0 ? a.dilutions : [null];
+            dilutions.forEach(d => {
+                rows.push([
+                    this.csvField(this.getPlateLabel(a.plateIdx)),
+                    this.csvField(a.sample),
+                    d ? d.dilution : '',
+                    d ? d.n : '',
+                    d ? fmt(d.mean, 4) : '',
+                    d ? fmt(d.recovery, 1) : '',
+                    ...shared
+                ].join(','));
+            });
+        });
+
+        return rows;
+    }
+
+    /**
+     * Build CSV rows describing the global fit and its F-test against independent fits
+     * @returns {string[]} CSV lines (header + one line), empty when no global fit was made
+     */
+    buildGlobalFitExportRows() {
+        const params = this.plateParams.find(p => p && p.globalFit);
+        if (!params) return [];
+        const g = params.globalFit;
+
+        return [
+            ['Global Fit Model', 'Shared Parameters', 'Plates', 'SSR', 'Parameters', 'Independent SSR', 'Independent Parameters', 'F', 'df1', 'df2', 'p-value', 'Pooling Justified'].join(','),
+            [
+                g.model,
+                g.sharedParams.join(' '),
+                this.csvField(g.plates.map(i => this.getPlateLabel(i)).join('; ')),
+                g.ssr.toExponential(6),
+                g.parameterCount,
+                g.independentSSR.toExponential(6),
+                g.independentParameterCount,
+                g.fValue !== null ? g.fValue.toFixed(4) : '',
+                g.df1,
+                g.df2,
+                g.pValue !== null ? g.pValue.toFixed(6) : '',
+                g.poolingJustified === null ? '' : (g.poolingJustified ? 'yes' : 'no')
+            ].join(',')
+        ];
+    }
+
+    /**
+     * Build CSV rows with the fitted parameters of every plate
+     * @returns {string[]} CSV lines (header + one line per parameter)
+     */
+    buildParameterExportRows() {
+        const rows = [['Plate', 'Model', 'Weighting', 'Parameter', 'Estimate', 'SE', '95% CI Lower', '95% CI Upper', 'df', 'Constraint', 'Resampling', 'Resampled Lower', 'Resampled Upper'].join(',')];
+
+        this.plateParams.forEach((params, plateIdx) => {
+            if (!params) return;
+            const model = params.model || '4PL';
+            const resampling = params.resampling || null;
+            const plateLabel = this.csvField(this.getPlateLabel(plateIdx));
+            const resampledColumns = (interval) => (interval
+                ? [this.formatResamplingLabel(resampling), interval.lower.toFixed(6), interval.upper.toFixed(6)]
+                : ['', '', '']);
+
+            this.curveFitter.getParamNames(model).forEach(name => {
+                const stats = params.paramStats ? params.paramStats[name] : null;
+                const hasStats = stats && stats.se !== null;
+                rows.push([
+                    plateLabel,
+                    model,
+                    this.formatWeighting(params.weighting),
+                    name,
+                    params[name].toFixed(6),
+                    hasStats ? stats.se.toFixed(6) : '',
+                    hasStats ? stats.lower.toFixed(6) : '',
+                    hasStats ? stats.upper.toFixed(6) : '',
+                    params.dof !== null ? params.dof : '',
+                    this.getParameterConstraintStatus(params, name),
+                    ...resampledColumns(resampling ? resampling.params[name] : null)
+                ].join(','));
+            });
+
+            const ec50 = this.curveFitter.calculateEC50(params);
+            if (ec50 !== null) {
+                rows.push([plateLabel, model, this.formatWeighting(params.weighting), 'EC50', ec50.toFixed(6), '', '', '', '', '', ...resampledColumns(resampling ? resampling.ec50 : null)].join(','));
+            }
+            rows.push([plateLabel, model, this.formatWeighting(params.weighting), 'R2', params.rSquared.toFixed(6), '', '', '', '', '', '', '', ''].join(','));
+            if (params.adjustedRSquared !== null && params.adjustedRSquared !== undefined) {
+                rows.push([plateLabel, model, this.formatWeighting(params.weighting), 'Adjusted R2', params.adjustedRSquared.toFixed(6), '', '', '', '', '', '', '', ''].join(','));
+            }
+        });
+
+        return rows;
+    }
+
     /**
      * Handle keyboard shortcuts
      */
@@ -1170,6 +3991,7 @@ class ELISAPlateAnalyzer {
 
         if (!confirm('Are you sure you want to clear the selected wells?')) return;
 
+        const settings = this.getFitSettings();
         this.selectedWells.forEach(wellId => {
             this.plateData[wellId] = {
                 type: 'empty',
@@ -1177,18 +3999,23 @@ class ELISAPlateAnalyzer {
                 concentration: null,
                 absorbance: null,
                 dilution: 1,
-                calculatedConcentration: null
+                calculatedConcentration: null,
+                excluded: false,
+                overflow: false
             };
-            this.updateWellAppearance(wellId);
+            this.updateWellAppearance(wellId, settings);
         });
 
-        this.updateStandardsTable();
-
         // Update editor to reflect cleared state
         this.updateEditorFromSelection();
+        this.updatePlateTabIndicators();
+        this.updatePlateStatusIndicators();
 
-        if (this.fittedParams) {
-            this.updateCalculations();
+        // Cleared standards change the curve
+        if (this.plateParams.some(p => p !== null)) {
+            this.fitCurve({ silent: true });
+        } else {
+            this.updateStandardsTable();
         }
     }
 
@@ -1213,7 +4040,7 @@ class ELISAPlateAnalyzer {
      */
     generateSampleCharts() {
         if (!this.fittedParams) {
-            alert('Please fit the 4PL curve first.');
+            alert('Please fit the standard curve first.');
             return;
         }
 
@@ -1456,7 +4283,7 @@ class ELISAPlateAnalyzer {
                                 afterLabel: (context) => {
                                     const point = context.raw;
                                     if (point.source) {
-                                        return `Source: Plate ${point.source.plateIdx + 1} - ${point.source.wellId}`;
+                                        return `Source: ${this.getPlateLabel(point.source.plateIdx)} - ${point.source.wellId}`;
                                     }
                                     return '';
                                 }
@@ -2709,82 +5536,72 @@ class ELISAPlateAnalyzer {
 
     /**
      * Group samples by condition from ALL plates, extracting day info from name
-     * Groups replicates (#1, #2, #3) together and calculates mean and SD
+     * Technical replicates count once, as their mean (see aggregateSampleReplicates); biological
+     * replicates (#1, #2, #3) are grouped together to calculate mean and SD
      * Returns: { conditionName: { day: { mean, sd, values }, ... }, ... }
      */
     groupSamplesByCondition() {
         const rawData = {};
 
-        // Process all plates - collect all values
+        // Process all plates - collect the replicate means
         console.log("=== groupSamplesByCondition START ===");
         const processedSamples = new Set();  // Track processed samples to detect duplicates
 
-        this.plates.forEach((plate, plateIndex) => {
-            Object.entries(plate).forEach(([wellId, data]) => {
-                // Use calculatedConcentration as the source of truth
-                if (data.type === 'sample' && data.calculatedConcentration !== null && data.calculatedConcentration !== undefined) {
-                    const name = data.name || '';
-
-                    // Create unique key for this sample
-                    const sampleKey = `P${plateIndex}_${wellId}_${name}_${data.calculatedConcentration?.toFixed(4)}`;
+        // Wells outside LLOQ-ULOQ are already left out here unless "include flagged" is on
+        this.aggregateSampleReplicates().forEach(replicates => {
+            const name = replicates.sample || '';
+            const plateIndex = replicates.plateIdx;
+            const wellId = replicates.wellIds.join('+');
 
-                    if (processedSamples.has(sampleKey)) {
-                        console.warn(`[DUPLICATE] Already processed: ${sampleKey}`);
-                        return;
-                    }
-                    processedSamples.add(sampleKey);
-
-                    // Extract day number from name
-                    // Match patterns: "d6", "D6", "Day 6", "day6" etc.
-                    // Avoid matching "10x" or similar patterns
-                    // Use word boundary or space before d/D to avoid matching inside words
-                    const dayMatch = name.match(/(?:^|\s)(day|Day|d|D)\s*(\d+)(?!\d*x)/i);
-                    if (!dayMatch) {
-                        console.log(`[Plate ${plateIndex}] Skipped (no day): "${name}"`);
-                        return;
-                    }
+            // Create unique key for this sample
+            const sampleKey = `P${plateIndex}_${wellId}_${name}`;
 
-                    const day = parseInt(dayMatch[2]);  // Note: now index 2 due to capture group
+            if (processedSamples.has(sampleKey)) {
+                console.warn(`[DUPLICATE] Already processed: ${sampleKey}`);
+                return;
+            }
+            processedSamples.add(sampleKey);
+
+            // Extract day number from name
+            // Match patterns: "d6", "D6", "Day 6", "day6" etc.
+            // Avoid matching "10x" or similar patterns
+            // Use word boundary or space before d/D to avoid matching inside words
+            const dayMatch = name.match(/(?:^|\s)(day|Day|d|D)\s*(\d+)(?!\d*x)/i);
+            if (!dayMatch) {
+                console.log(`[Plate ${plateIndex}] Skipped (no day): "${name}"`);
+                return;
+            }
 
-                    // Remove day info, dilution factor, replicate number, and experimenter names
-                    let conditionName = name
-                        .replace(/(?:Day|day|d|D)\s*\d+\s*/gi, ' ')  // Remove day info
-                        .replace(/\s*\(\d+x\)\s*/gi, ' ')             // Remove (10x)
-                        .replace(/\s*\d+x\s*/gi, ' ')                 // Remove 10x
-                        .replace(/\s*#\d+(?![-\w])/g, ' ')            // Remove #1 but keep #0-a
-                        .replace(/\s*\(\s*\)\s*/g, ' ')               // Remove ()
-                        .replace(/\b(Matsumoto|sugawa|yada)\b/gi, ' ') // Remove experimenter names
-                        .replace(/\s+/g, ' ')                         // Normalize spaces
-                        .trim();
+            const day = parseInt(dayMatch[2]);  // Note: now index 2 due to capture group
 
-                    console.log(`[Plate ${plateIndex}] ${wellId}: "${name}" -> Condition: "${conditionName}", Day: ${day}, calcConc: ${data.calculatedConcentration?.toFixed(2)}`);
+            // Remove day info, dilution factor, replicate number, and experimenter names
+            let conditionName = name
+                .replace(/(?:Day|day|d|D)\s*\d+\s*/gi, ' ')  // Remove day info
+                .replace(/\s*\(\d+x\)\s*/gi, ' ')             // Remove (10x)
+                .replace(/\s*\d+x\s*/gi, ' ')                 // Remove 10x
+                .replace(/\s*#\d+(?![-\w])/g, ' ')            // Remove #1 but keep #0-a
+                .replace(/\s*\(\s*\)\s*/g, ' ')               // Remove ()
+                .replace(/\b(Matsumoto|sugawa|yada)\b/gi, ' ') // Remove experimenter names
+                .replace(/\s+/g, ' ')                         // Normalize spaces
+                .trim();
 
-                    if (!conditionName) return;
+            console.log(`[Plate ${plateIndex}] ${wellId}: "${name}" -> Condition: "${conditionName}", Day: ${day}, mean of ${replicates.n}: ${replicates.mean.toFixed(2)}`);
 
-                    // Initialize structure
-                    if (!rawData[conditionName]) {
-                        rawData[conditionName] = {};
-                    }
-                    if (!rawData[conditionName][day]) {
-                        rawData[conditionName][day] = [];
-                    }
+            if (!conditionName) return;
 
-                    // Re-calculate final concentration strictly from calculatedConcentration and dilution
-                    // This ensures consistency with the Export Results logic
-                    const dilution = data.dilution || 1;
-                    const dilutedConc = data.calculatedConcentration * dilution;
-                    // Final Conc: #0-a and #0-b use 0.005, others use 0.01 (µg / 1M cells)
-                    const is0Sample = data.name && (data.name.includes('#0-a') || data.name.includes('#0-b'));
-                    const conversionFactor = is0Sample ? 0.005 : 0.01;
-                    const finalConc = dilutedConc * conversionFactor;
+            // Initialize structure
+            if (!rawData[conditionName]) {
+                rawData[conditionName] = {};
+            }
+            if (!rawData[conditionName][day]) {
+                rawData[conditionName][day] = [];
+            }
 
-                    // Store detailed object including source info
-                    rawData[conditionName][day].push({
-                        value: finalConc,
-                        plateIdx: plateIndex,
-                        wellId: wellId
-                    });
-                }
+            // Store the replicate mean (µg / 1M cells, as in Export Results) including source info
+            rawData[conditionName][day].push({
+                value: replicates.finalMean,
+                plateIdx: plateIndex,
+                wellId: wellId
             });
         });
 
@@ -2888,14 +5705,17 @@ class ELISAPlateAnalyzer {
                 const csvText = event.target.result;
                 const allRows = this.parseMultiPlateCsv(csvText);
 
-                // Each plate is 8 rows
-                const rowsPerPlate = 8;
-                const numPlates = Math.min(10, Math.ceil(allRows.length / rowsPerPlate));
+                // Each plate spans one CSV line per plate row (8 for 96 wells)
+                const rowsPerPlate = this.rows.length;
+                const numPlates = Math.max(1, Math.ceil(allRows.length / rowsPerPlate));
 
                 console.log(`Importing ${numPlates} plates from CSV (${allRows.length} rows total)`);
 
-                // Clear existing data
-                for (let i = 0; i < 10; i++) {
+                // One plate per block of rows: keep the first plates (and their names and settings),
+                // add or drop plates at the end, and clear the existing data
+                const order = Array.from({ length: numPlates }, (_, i) => (i < this.plates.length ? i : null));
+                this.applyPlateOrder(order, Math.min(this.currentPlateIndex, numPlates - 1));
+                for (let i = 0; i < numPlates; i++) {
                     this.plates[i] = this.createEmptyPlate();
                 }
 
@@ -2915,14 +5735,11 @@ class ELISAPlateAnalyzer {
                 statusEl.textContent = `✓ ${file.name} (${numPlates} plates loaded)`;
                 masterZone.classList.add('loaded');
 
-                // Update plate status indicators
-                this.updatePlateStatusIndicators();
-
                 // Refresh display
                 this.plateData = this.plates[this.currentPlateIndex];
+                this.renderPlateTabs();
                 this.refreshPlateDisplay();
                 this.updateStandardsTable();
-                this.updatePlateTabIndicators();
 
             } catch (error) {
                 alert(`CSVインポートエラー: ${error.message}`);
@@ -2948,9 +5765,14 @@ class ELISAPlateAnalyzer {
 
             // Skip header rows (first cell is a row label like A, B, C or has column numbers)
             const firstCell = cells[0]?.trim() || '';
-            if (firstCell === '' || /^[A-H]$/i.test(firstCell)) {
+            const labels = cells.slice(1).map(cell => cell.trim()).filter(cell => cell !== '');
+            const isColumnHeader = firstCell === '' && labels.length > 0 &&
+                labels.every((cell, idx) => cell === String((idx % this.cols.length) + 1));
+            if (isColumnHeader) {
+                continue;
+            } else if (firstCell === '' || this.isRowLabel(firstCell)) {
                 // Remove the row label if present
-                if (/^[A-H]$/i.test(firstCell)) {
+                if (this.isRowLabel(firstCell)) {
                     cells.shift();
                 }
                 allRows.push(cells);
@@ -2967,131 +5789,141 @@ class ELISAPlateAnalyzer {
     }
 
     /**
-     * Apply rows to a specific plate (combined format: cols 0-11 names, cols 12-23 absorbance)
-     * Full 96-well plate: 8 rows x 12 columns
-     * Each sample uses 2 wells (duplicate), so column 2 may be empty (inherits from column 1)
+     * Apply rows to a specific plate (combined format: one plate row per line, names in the first
+     * n cells, absorbance in the next n, n = columns of the format; e.g. 12 + 12 for 96 wells)
+     * A replicate's name may be left empty: it inherits from the named well of its replicate group
+     * (Replicate Layout setting, e.g. column 2 from column 1 for horizontal pairs). Grouping by
+     * name has nothing to inherit from, so there every well needs its name.
      * BUT: If both name AND absorbance are empty, treat as truly empty well
      */
     applyCombinedRowsToPlate(rows, plateIndex) {
         const plate = this.plates[plateIndex];
 
+        const colCount = this.cols.length;
+        const { replicatePattern } = this.getFitSettings();
+        // Wells with a reading but no name, named after their replicate group below
+        const unnamedWells = new Set();
+
         rows.forEach((cells, rowIdx) => {
-            if (rowIdx >= 8) return; // Only 8 rows per plate
+            if (rowIdx >= this.rows.length) return; // Only the format's rows per plate
 
             const rowLetter = this.rows[rowIdx]; // A, B, C, etc.
-            let lastValidName = null;
-            let lastValidType = 'empty';
-            let lastValidConcentration = null;
-            let lastValidDilution = 1;
 
-            // Process all 12 wells per row
-            for (let colIdx = 0; colIdx < 12; colIdx++) {
+            // Process all wells per row
+            for (let colIdx = 0; colIdx < colCount; colIdx++) {
                 const wellId = `${rowLetter}${colIdx + 1}`;
                 const nameValue = cells[colIdx];
-                const absValue = cells[colIdx + 12]; // Absorbance is in columns 12-23
+                const absValue = cells[colIdx + colCount]; // Absorbance follows the names
 
                 // Check if both name and absorbance are empty -> truly empty well
                 const nameIsEmpty = nameValue === undefined || nameValue === null || nameValue.toString().trim() === '';
                 const absIsEmpty = absValue === undefined || absValue === null || absValue.toString().trim() === '';
 
                 if (nameIsEmpty && absIsEmpty) {
-                    // Both are empty -> reset inheritance chain and mark as empty
-                    lastValidName = null;
-                    lastValidType = 'empty';
-                    lastValidConcentration = null;
-                    lastValidDilution = 1;
                     // Well stays as empty (default state)
                     plate[wellId].type = 'empty';
                     plate[wellId].name = '';
                     plate[wellId].concentration = null;
                     plate[wellId].absorbance = null;
+                    plate[wellId].overflow = false;
                     plate[wellId].dilution = 1;
                     continue;
                 }
 
-                // Apply name (with inheritance for duplicate wells)
                 if (!nameIsEmpty) {
                     const nameStr = nameValue.toString().trim();
                     plate[wellId].name = nameStr;
-                    lastValidName = nameStr;
 
                     // Determine well type
                     const lowerName = nameStr.toLowerCase();
                     if (lowerName.includes('standard') || lowerName.includes('std')) {
                         plate[wellId].type = 'standard';
-                        lastValidType = 'standard';
                         const concMatch = nameStr.match(/([\d.]+)\s*(ng|pg|µg|ug|mg)/i);
                         if (concMatch) {
                             plate[wellId].concentration = parseFloat(concMatch[1]);
-                            lastValidConcentration = plate[wellId].concentration;
                         }
                     } else if (lowerName.includes('blank') || lowerName === '0' || lowerName.includes('0 ng')) {
                         plate[wellId].type = 'blank';
-                        lastValidType = 'blank';
                         plate[wellId].concentration = 0;
-                        lastValidConcentration = 0;
                     } else if (nameStr.length > 0) {
                         plate[wellId].type = 'sample';
-                        lastValidType = 'sample';
 
-                        // Reset dilution default and update lastValidDilution
+                        // Reset dilution default
                         plate[wellId].dilution = 1;
-                        lastValidDilution = 1;
 
                         // Extract dilution factor - supports (10x), 10x,etc.
                         const dilutionMatch = nameStr.match(/(?:^|\s|\()(\d+)x(?:\s|\)|$)/i);
                         if (dilutionMatch) {
                             plate[wellId].dilution = parseInt(dilutionMatch[1]);
-                            lastValidDilution = plate[wellId].dilution;
                         }
                     }
-                } else if (lastValidName !== null && !absIsEmpty) {
-                    // Name is empty but absorbance exists -> inherit from previous well (duplicate well)
-                    plate[wellId].name = lastValidName;
-                    plate[wellId].type = lastValidType;
-                    if (lastValidConcentration !== null) {
-                        plate[wellId].concentration = lastValidConcentration;
-                    }
-                    plate[wellId].dilution = lastValidDilution;
+                } else {
+                    unnamedWells.add(wellId);
                 }
 
                 // Apply absorbance
                 if (!absIsEmpty) {
-                    const numVal = parseFloat(absValue);
-                    if (!isNaN(numVal)) {
-                        plate[wellId].absorbance = numVal;
+                    const reading = this.parseAbsorbanceValue(absValue);
+                    if (reading) {
+                        Object.assign(plate[wellId], reading);
                     }
                 }
             }
         });
 
-        console.log(`Applied data to plate ${plateIndex + 1}:`, plate);
+        // Unnamed wells with a reading take the name, type, concentration and dilution of the
+        // first named well of their replicate group
+        if (unnamedWells.size > 0 && replicatePattern !== 'name') {
+            this.getReplicateGroups(plate, replicatePattern).forEach(group => {
+                const source = group.find(wellId => !unnamedWells.has(wellId) && plate[wellId].name);
+                if (!source) return;
+                const { name, type, concentration, dilution } = plate[source];
+                group.filter(wellId => unnamedWells.has(wellId)).forEach(wellId => {
+                    Object.assign(plate[wellId], { name, type, concentration, dilution });
+                });
+            });
+        }
+
+        console.log(`Applied data to ${this.getPlateLabel(plateIndex)}:`, plate);
+    }
+
+    /**
+     * Parse an absorbance cell from a reader export
+     * Overflow markers (OVRFLW, OVER, Overflow, Sat, "****", ">3.5") have no usable value:
+     * they come back with absorbance null and overflow set.
+     * @param {*} value - Cell content
+     * @returns {object|null} {absorbance, overflow}, or null if the cell holds no reading
+     */
+    parseAbsorbanceValue(value) {
+        const text = String(value).trim();
+        if (/^(ovrflw|over(flow)?|sat(urated)?|\*+|>\s*[\d.]+)$/i.test(text)) {
+            return { absorbance: null, overflow: true };
+        }
+        const numVal = parseFloat(text);
+        return isNaN(numVal) ? null : { absorbance: numVal, overflow: false };
     }
 
     /**
      * Update plate status indicators in the UI
      */
     updatePlateStatusIndicators() {
-        for (let i = 0; i < 10; i++) {
-            const plate = this.plates[i];
+        this.plates.forEach((plate, i) => {
             const hasData = Object.values(plate).some(well => well.type !== 'empty');
             const statusItem = document.querySelector(`.plate-status-item[data-plate="${i + 1}"]`);
             if (statusItem) {
                 statusItem.classList.toggle('active', hasData);
             }
-        }
+        });
     }
 
     /**
      * Clear all plate data (for the master drop zone)
      */
     clearAllPlateData() {
-        // Reset all plates
-        for (let i = 0; i < 10; i++) {
-            this.plates[i] = this.createEmptyPlate();
-        }
-        this.plateData = this.plates[0];
-        this.currentPlateIndex = 0;
+        this.cancelFitting({ quiet: true });
+        this.cancelUncertaintyAnalysis();
+
+        this.resetPlates();
 
         // Reset UI
         const statusEl = document.getElementById('masterDropStatus');
@@ -3099,16 +5931,9 @@ class ELISAPlateAnalyzer {
         if (statusEl) statusEl.textContent = 'Ready to import';
         if (masterZone) masterZone.classList.remove('loaded');
 
-        // Reset plate status indicators
-        document.querySelectorAll('.plate-status-item').forEach(item => {
-            item.classList.remove('active');
-        });
-
-        // Reset plate tabs
-        document.querySelectorAll('.plate-tab').forEach((tab, idx) => {
-            tab.classList.toggle('active', idx === 0);
-            tab.classList.remove('has-data');
-        });
+        // Reset plate tabs and status indicators
+        this.renderPlateTabs();
+        this.updateReferenceCurveControls();
 
         // Refresh display
         this.refreshPlateDisplay();
@@ -3139,6 +5964,7 @@ class ELISAPlateAnalyzer {
                 plate[wellId].dilution = 1;
             } else if (type === 'abs') {
                 plate[wellId].absorbance = null;
+                plate[wellId].overflow = false;
                 plate[wellId].calculatedConcentration = null;
             } else if (type === 'combined') {
                 // Clear everything
@@ -3147,6 +5973,7 @@ class ELISAPlateAnalyzer {
                 plate[wellId].concentration = null;
                 plate[wellId].dilution = 1;
                 plate[wellId].absorbance = null;
+                plate[wellId].overflow = false;
                 plate[wellId].calculatedConcentration = null;
             }
         });
@@ -3175,7 +6002,7 @@ class ELISAPlateAnalyzer {
                 const data = this.parsePlateLayoutCsv(event.target.result);
 
                 if (type === 'combined') {
-                    // Combined format: left half (cols 1-6) = names, right half (cols 7-12) = absorbance
+                    // Combined format: left half of the columns = names, right half = absorbance
                     this.applyCombinedCsvToPlate(data, plateIndex);
                 } else if (type === 'names') {
                     this.applyNamesToPlateDirect(data, plateIndex);
@@ -3206,15 +6033,16 @@ class ELISAPlateAnalyzer {
 
     /**
      * Apply combined CSV format to a plate
-     * Left half (cols 1-6) = well names, Right half (cols 7-12) = absorbance
+     * Left half of the columns = well names, right half = absorbance (cols 1-6 / 7-12 for 96 wells)
      */
     applyCombinedCsvToPlate(data, plateIndex) {
         const plate = this.plates[plateIndex];
+        const half = this.cols.length / 2;
 
-        // Process 8 rows (A-H), 6 columns each side
+        // Process every row, half of the columns each side
         this.rows.forEach((row, rowIdx) => {
-            // Left side (cols 0-5): well names -> wells A1-A6, B1-B6, etc.
-            for (let colIdx = 0; colIdx < 6; colIdx++) {
+            // Left side: well names -> wells A1-A6, B1-B6, etc. (96 wells)
+            for (let colIdx = 0; colIdx < half; colIdx++) {
                 const wellId = `${row}${colIdx + 1}`;
                 const nameValue = data[rowIdx]?.[colIdx];
 
@@ -3243,20 +6071,20 @@ class ELISAPlateAnalyzer {
                     }
                 }
 
-                // Right side (cols 6-11): absorbance values -> same wells A1-A6, B1-B6, etc.
-                const absColIdx = colIdx + 6;
+                // Right side: absorbance values -> same wells
+                const absColIdx = colIdx + half;
                 const absValue = data[rowIdx]?.[absColIdx];
 
                 if (absValue !== undefined && absValue !== null && absValue !== '') {
-                    const numVal = parseFloat(absValue);
-                    if (!isNaN(numVal)) {
-                        plate[wellId].absorbance = numVal;
+                    const reading = this.parseAbsorbanceValue(absValue);
+                    if (reading) {
+                        Object.assign(plate[wellId], reading);
                     }
                 }
             }
         });
 
-        console.log(`Applied combined CSV to plate ${plateIndex + 1}:`, plate);
+        console.log(`Applied combined CSV to ${this.getPlateLabel(plateIndex)}:`, plate);
     }
 
     /**
@@ -3315,9 +6143,9 @@ class ELISAPlateAnalyzer {
                 const wellId = `${row}${col}`;
                 const value = data[rowIdx]?.[colIdx];
                 if (value !== undefined && value !== null && value !== '') {
-                    const absValue = parseFloat(value);
-                    if (!isNaN(absValue)) {
-                        plate[wellId].absorbance = absValue;
+                    const reading = this.parseAbsorbanceValue(value);
+                    if (reading) {
+                        Object.assign(plate[wellId], reading);
                     }
                 }
             });
@@ -3328,8 +6156,9 @@ class ELISAPlateAnalyzer {
      * Refresh the plate grid display for current plate
      */
     refreshPlateDisplay() {
+        const settings = this.getFitSettings();
         Object.keys(this.plateData).forEach(wellId => {
-            this.updateWellAppearance(wellId);
+            this.updateWellAppearance(wellId, settings);
         });
     }
 
@@ -34,7 +34,7 @@ class ChartManager {
                         order: 2
                     },
                     {
-                        label: '4PL Fitted Curve',
+                        label: 'Fitted Curve',
                         data: [],
                         type: 'line',
                         borderColor: 'rgba(3, 105, 161, 0.8)', // Sky Blue 700
@@ -190,5 +190,146 @@ class ChartManager {
     }
 }
 
+/**
+ * Residual diagnostics for the fitted standard curve
+ * Residual vs concentration and standardized residual charts
+ */
+class ResidualChartManager {
+    constructor(residualCanvasId, standardizedCanvasId) {
+        this.residualChart = this.createChart(residualCanvasId, 'Residual (OD)', 'rgba(14, 165, 233, 0.8)');
+        this.standardizedChart = this.createChart(standardizedCanvasId, 'Standardized Residual', 'rgba(139, 92, 246, 0.8)');
+    }
+
+    /**
+     * Create a residual scatter chart with reference lines
+     * @param {string} canvasId - Canvas element ID
+     * @param {string} yLabel - Y axis title
+     * @param {string} color - Point color
+     */
+    createChart(canvasId, yLabel, color) {
+        const canvas = document.getElementById(canvasId);
+        if (!canvas) return null;
+
+        return new Chart(canvas.getContext('2d'), {
+            type: 'scatter',
+            data: {
+                datasets: [
+                    {
+                        label: 'Standards',
+                        data: [],
+                        backgroundColor: color,
+                        borderColor: color,
+                        pointRadius: 4,
+                        pointHoverRadius: 6,
+                        order: 1
+                    },
+                    {
+                        label: 'Reference',
+                        data: [],
+                        type: 'line',
+                        borderColor: 'rgba(100, 116, 139, 0.8)', // Slate 500
+                        borderWidth: 1,
+                        borderDash: [4, 4],
+                        fill: false,
+                        pointRadius: 0,
+                        order: 2
+                    }
+                ]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                plugins: {
+                    legend: {
+                        display: false
+                    },
+                    tooltip: {
+                        callbacks: {
+                            label: function (context) {
+                                const point = context.raw;
+                                const well = point.wellId ? `${point.wellId}: ` : '';
+                                return `${well}Conc: ${context.parsed.x.toFixed(2)}, ${yLabel}: ${context.parsed.y.toFixed(4)}`;
+                            }
+                        }
+                    }
+                },
+                scales: {
+                    x: {
+                        type: 'logarithmic',
+                        title: {
+                            display: true,
+                            text: 'Concentration (ng/mL)',
+                            font: { weight: '600' }
+                        },
+                        grid: {
+                            color: '#e2e8f0',
+                            borderDash: [2, 2]
+                        }
+                    },
+                    y: {
+                        title: {
+                            display: true,
+                            text: yLabel,
+                            font: { weight: '600' }
+                        },
+                        grid: {
+                            color: '#e2e8f0'
+                        }
+                    }
+                },
+                animation: {
+                    duration: 300
+                }
+            }
+        });
+    }
+
+    /**
+     * Update both residual charts
+     * Points at concentration 0 (blanks) cannot be shown on the log axis and are skipped.
+     * @param {array} residuals - Array of {x, residual, standardized, wellId}
+     */
+    update(residuals) {
+        const points = residuals.filter(r => r.x > 0);
+        if (points.length === 0) {
+            this.clear();
+            return;
+        }
+
+        const minX = Math.min(...points.map(p => p.x));
+        const maxX = Math.max(...points.map(p => p.x));
+        // Break the line between segments so each reference is drawn on its own
+        const refLine = (levels) => levels.flatMap(y => [{ x: minX, y }, { x: maxX, y }, { x: maxX, y: null }]);
+
+        if (this.residualChart) {
+            this.residualChart.data.datasets[0].data = points.map(p => ({ x: p.x, y: p.residual, wellId: p.wellId }));
+            this.residualChart.data.datasets[1].data = refLine([0]);
+            this.residualChart.update();
+        }
+
+        if (this.standardizedChart) {
+            this.standardizedChart.data.datasets[0].data = points
+                .filter(p => p.standardized !== null)
+                .map(p => ({ x: p.x, y: p.standardized, wellId: p.wellId }));
+            this.standardizedChart.data.datasets[1].data = refLine([-2, 0, 2]);
+            this.standardizedChart.update();
+        }
+    }
+
+    /**
+     * Clear all data from both charts
+     */
+    clear() {
+        [this.residualChart, this.standardizedChart].forEach(chart => {
+            if (!chart) return;
+            chart.data.datasets.forEach(dataset => {
+                dataset.data = [];
+            });
+            chart.update();
+        });
+    }
+}
+
 // Export for use in other modules
 window.ChartManager = ChartManager;
+window.ResidualChartManager = ResidualChartManager;
@@ -1,13 +1,22 @@
 /**
- * 4-Parameter Logistic (4PL) Curve Fitting Module
+ * 4-Parameter / 5-Parameter Logistic (4PL / 5PL) Curve Fitting Module
  * 
- * Model: y = D + (A - D) / (1 + (x / C)^B)
+ * 4PL Model: y = D + (A - D) / (1 + (x / C)^B)
+ * 5PL Model: y = D + (A - D) / (1 + (x / C)^B)^E
  * 
  * Parameters:
  * A - Minimum asymptote (response at zero concentration)
  * B - Hill slope (steepness of the curve)
- * C - EC50 (concentration at inflection point)
+ * C - EC50 (concentration at inflection point, 4PL only)
  * D - Maximum asymptote (response at infinite concentration)
+ * E - Asymmetry factor (5PL only, E = 1 reduces to 4PL)
+ *
+ * Additional calibration models (closed-form weighted least squares):
+ * linear:    y = A + B·x
+ * semilog:   y = A + B·log10(x)
+ * loglog:    log10(y) = A + B·log10(x)
+ * quadratic: y = A + B·x + C·x²
+ * spline:    natural cubic spline through the mean response of each level, on log10(x)
  */
 
 class CurveFitter {
@@ -54,33 +63,400 @@ class CurveFitter {
     }
 
     /**
-     * Calculate residual sum of squares
+     * 5PL function
+     * @param {number} x - Concentration
+     * @param {object} params - {A, B, C, D, E}
+     * @returns {number} - Predicted absorbance
+     */
+    fivePL(x, params) {
+        const { A, B, C, D, E } = params;
+        if (x <= 0) return A;
+        return D + (A - D) / Math.pow(1 + Math.pow(x / C, B), E);
+    }
+
+    /**
+     * Inverse 5PL function - calculate concentration from absorbance
+     * @param {number} y - Absorbance
+     * @param {object} params - {A, B, C, D, E}
+     * @returns {number|null} - Calculated concentration or null if invalid
+     */
+    inverse5PL(y, params) {
+        const { A, B, C, D, E } = params;
+
+        const minY = Math.min(A, D);
+        const maxY = Math.max(A, D);
+
+        if (y <= minY || y >= maxY) {
+            return null; // Out of range
+        }
+
+        const ratio = Math.pow((A - D) / (y - D), 1 / E) - 1;
+        if (ratio <= 0 || !isFinite(ratio)) {
+            return null; // Invalid calculation
+        }
+
+        return C * Math.pow(ratio, 1 / B);
+    }
+
+    /**
+     * Linear model: y = A + B·x
+     */
+    linearModel(x, params) {
+        return params.A + params.B * x;
+    }
+
+    /**
+     * Semi-log model: y = A + B·log10(x)
+     */
+    semiLogModel(x, params) {
+        if (x <= 0) return NaN;
+        return params.A + params.B * Math.log10(x);
+    }
+
+    /**
+     * Log-log model: log10(y) = A + B·log10(x)
+     */
+    logLogModel(x, params) {
+        if (x <= 0) return NaN;
+        return Math.pow(10, params.A + params.B * Math.log10(x));
+    }
+
+    /**
+     * Quadratic model: y = A + B·x + C·x²
+     */
+    quadraticModel(x, params) {
+        return params.A + params.B * x + params.C * x * x;
+    }
+
+    /**
+     * Natural cubic spline on u = log10(x)
+     * Outside the knots the spline continues linearly with its end slope.
+     * @param {number} x - Concentration
+     * @param {object} params - {knots: {u, y, m}} with m the second derivatives
+     * @returns {number} - Predicted absorbance
+     */
+    splineModel(x, params) {
+        if (x <= 0) return NaN;
+        const { u, y, m } = params.knots;
+        const n = u.length;
+        const t = Math.log10(x);
+
+        if (t <= u[0]) {
+            const h = u[1] - u[0];
+            const slope = (y[1] - y[0]) / h - h * m[1] / 6;
+            return y[0] + slope * (t - u[0]);
+        }
+        if (t >= u[n - 1]) {
+            const h = u[n - 1] - u[n - 2];
+            const slope = (y[n - 1] - y[n - 2]) / h + h * m[n - 2] / 6;
+            return y[n - 1] + slope * (t - u[n - 1]);
+        }
+
+        let i = 0;
+        while (i < n - 2 && t > u[i + 1]) i++;
+
+        const h = u[i + 1] - u[i];
+        const a = u[i + 1] - t;
+        const b = t - u[i];
+        return m[i] * a * a * a / (6 * h) + m[i + 1] * b * b * b / (6 * h) +
+            (y[i] / h - m[i] * h / 6) * a + (y[i + 1] / h - m[i + 1] * h / 6) * b;
+    }
+
+    /**
+     * Inverse linear / semi-log / log-log models
+     * @returns {number|null} - Calculated concentration or null if invalid
+     */
+    inverseLinearModel(y, params) {
+        const { A, B, model } = params;
+        if (B === 0) return null;
+
+        let x;
+        if (model === 'linear') {
+            x = (y - A) / B;
+        } else if (model === 'semilog') {
+            x = Math.pow(10, (y - A) / B);
+        } else {
+            if (y <= 0) return null;
+            x = Math.pow(10, (Math.log10(y) - A) / B);
+        }
+
+        return isFinite(x) && x >= 0 ? x : null;
+    }
+
+    /**
+     * Inverse quadratic model
+     * Only a root on the same side of the vertex as the fitted standards is accepted.
+     * @returns {number|null} - Calculated concentration or null if invalid
+     */
+    inverseQuadratic(y, params) {
+        const { A, B, C, xMin, xMax } = params;
+
+        if (Math.abs(C) < 1e-15) {
+            return this.inverseLinearModel(y, { A, B, model: 'linear' });
+        }
+
+        const discriminant = B * B - 4 * C * (A - y);
+        if (discriminant < 0) return null;
+
+        const sqrtDisc = Math.sqrt(discriminant);
+        const roots = [(-B + sqrtDisc) / (2 * C), (-B - sqrtDisc) / (2 * C)].filter(r => r >= 0);
+        if (roots.length === 0) return null;
+
+        const vertex = -B / (2 * C);
+        const mid = (xMin + xMax) / 2;
+        const sameSide = roots.find(r => Math.sign(r - vertex) === Math.sign(mid - vertex));
+        return sameSide !== undefined ? sameSide : null;
+    }
+
+    /**
+     * Inverse spline - solve S(x) = y segment by segment (bisection), no extrapolation
+     * @returns {number|null} - Calculated concentration or null if out of range
+     */
+    inverseSpline(y, params) {
+        const { u } = params.knots;
+        const f = t => this.splineModel(Math.pow(10, t), params) - y;
+
+        for (let i = 0; i < u.length - 1; i++) {
+            let lo = u[i];
+            let hi = u[i + 1];
+            let fLo = f(lo);
+            const fHi = f(hi);
+
+            if (fLo === 0) return Math.pow(10, lo);
+            if (fLo * fHi > 0) continue;
+
+            for (let iter = 0; iter < 100 && hi - lo > 1e-12; iter++) {
+                const mid = (lo + hi) / 2;
+                const fMid = f(mid);
+                if (fLo * fMid <= 0) {
+                    hi = mid;
+                } else {
+                    lo = mid;
+                    fLo = fMid;
+                }
+            }
+            return Math.pow(10, (lo + hi) / 2);
+        }
+
+        return null;
+    }
+
+    /**
+     * Parameter names for a regression model
+     * The spline has no free parameters (it interpolates the level means).
+     * @param {string} model - Model identifier
+     * @returns {string[]} - Ordered parameter names
+     */
+    getParamNames(model = '4PL') {
+        switch (model) {
+            case '5PL': return ['A', 'B', 'C', 'D', 'E'];
+            case 'linear':
+            case 'semilog':
+            case 'loglog': return ['A', 'B'];
+            case 'quadratic': return ['A', 'B', 'C'];
+            case 'spline': return [];
+            default: return ['A', 'B', 'C', 'D'];
+        }
+    }
+
+    /**
+     * Parameters estimated by the fit (all model parameters except the fixed ones)
+     * @param {object} params - Model parameters, with optional fixedParams list
+     * @returns {string[]} - Free parameter names
+     */
+    getFreeParamNames(params) {
+        const fixed = params.fixedParams || [];
+        return this.getParamNames(params.model).filter(name => !fixed.includes(name));
+    }
+
+    /**
+     * Combine the built-in bounds of a logistic model with user constraints
+     * A user bound replaces the built-in one on its side.
+     * @param {string} model - '4PL' or '5PL'
+     * @param {object|null} constraints - {A: {fixed, lower, upper}, ...}; null entries are unset
+     * @returns {object} - {freeNames, fixedValues, lower, upper}
+     */
+    resolveConstraints(model, constraints) {
+        const defaults = { A: 0, B: 0, C: 1e-12, D: 0, E: 1e-3 };
+        const freeNames = [];
+        const fixedValues = {};
+        const lower = {};
+        const upper = {};
+
+        this.getParamNames(model).forEach(name => {
+            const c = (constraints && constraints[name]) || {};
+            if (c.fixed !== null && c.fixed !== undefined) {
+                fixedValues[name] = c.fixed;
+                return;
+            }
+            freeNames.push(name);
+            lower[name] = c.lower !== null && c.lower !== undefined ? c.lower : defaults[name];
+            upper[name] = c.upper !== null && c.upper !== undefined ? c.upper : Infinity;
+            if (lower[name] > upper[name]) {
+                throw new Error(`Lower bound of ${name} is above its upper bound`);
+            }
+        });
+
+        return { freeNames, fixedValues, lower, upper };
+    }
+
+    /**
+     * Minimum number of distinct points a model needs
+     * @param {string} model - Model identifier
+     * @returns {number}
+     */
+    getMinPoints(model = '4PL') {
+        return model === 'spline' ? 3 : this.getParamNames(model).length;
+    }
+
+    /**
+     * Display name of a model
+     * @param {string} model - Model identifier
+     * @returns {string}
+     */
+    getModelLabel(model = '4PL') {
+        const labels = {
+            linear: 'Linear',
+            semilog: 'Semi-log',
+            loglog: 'Log-log',
+            quadratic: 'Quadratic',
+            spline: 'Cubic spline'
+        };
+        return labels[model] || model;
+    }
+
+    /**
+     * Regression models that fit() supports, simplest first
+     * The spline interpolates and has no likelihood, so it is not a comparison candidate.
+     * @returns {string[]} - Model identifiers
+     */
+    getAvailableModels() {
+        return ['linear', 'semilog', 'loglog', 'quadratic', '4PL', '5PL'];
+    }
+
+    /**
+     * Pairs of nested models [simple, complex] for the extra-sum-of-squares F-test
+     * 4PL is 5PL with E fixed at 1; linear is quadratic with C fixed at 0.
+     * @returns {string[][]} - Nested model pairs
+     */
+    getNestedModelPairs() {
+        return [['linear', 'quadratic'], ['4PL', '5PL']];
+    }
+
+    /**
+     * Whether a data point can be used by a model
+     * Log-x models need x > 0 (blanks drop out); log-log also needs y > 0.
+     * @param {object} point - {x, y}
+     * @param {string} model - Model identifier
+     * @returns {boolean}
+     */
+    isValidPoint(point, model = '4PL') {
+        if (isNaN(point.x) || isNaN(point.y) || point.x < 0) return false;
+        if (['semilog', 'loglog', 'spline'].includes(model) && point.x <= 0) return false;
+        if (model === 'loglog' && point.y <= 0) return false;
+        return true;
+    }
+
+    /**
+     * Evaluate the model stored in params (params.model, defaults to 4PL)
+     * @param {number} x - Concentration
+     * @param {object} params - Model parameters
+     * @returns {number} - Predicted absorbance
+     */
+    evaluate(x, params) {
+        switch (params.model) {
+            case '5PL': return this.fivePL(x, params);
+            case 'linear': return this.linearModel(x, params);
+            case 'semilog': return this.semiLogModel(x, params);
+            case 'loglog': return this.logLogModel(x, params);
+            case 'quadratic': return this.quadraticModel(x, params);
+            case 'spline': return this.splineModel(x, params);
+            default: return this.fourPL(x, params);
+        }
+    }
+
+    /**
+     * Attach least-squares weights to data points
+     * Weights are derived from the observed values and normalized to a mean of 1,
+     * so weighted and unweighted SSR stay on a comparable scale.
      * @param {array} data - Array of {x, y} points
+     * @param {string} scheme - 'none', '1/y', '1/y2' or '1/x2'
+     * @returns {array} - Array of {x, y, w} points
+     */
+    applyWeights(data, scheme = 'none') {
+        const scale = this.getWeightScale(data, scheme);
+        return data.map(p => ({ ...p, w: this.weightAt(p.x, p.y, scale) }));
+    }
+
+    /**
+     * Floor and normalization a weighting scheme takes on from a data set (see applyWeights)
+     * @param {array} data - Array of {x, y} points
+     * @param {string} scheme - 'none', '1/y', '1/y2' or '1/x2'
+     * @returns {object} - {scheme, floor, meanWeight}
+     */
+    getWeightScale(data, scheme = 'none') {
+        if (!scheme || scheme === 'none' || data.length === 0) {
+            return { scheme: 'none', floor: 1, meanWeight: 1 };
+        }
+
+        const source = scheme === '1/x2' ? data.map(p => Math.abs(p.x)) : data.map(p => Math.abs(p.y));
+
+        // Zero values (blank at conc 0, or the min-OD well after subtraction) would get an
+        // infinite weight, so floor them at the smallest positive value in the set
+        const positive = source.filter(v => v > 0);
+        const floor = positive.length > 0 ? Math.min(...positive) : 1;
+
+        const raw = { scheme, floor, meanWeight: 1 };
+        const meanWeight = data.reduce((sum, p) => sum + this.weightAt(p.x, p.y, raw), 0) / data.length;
+
+        return { scheme, floor, meanWeight };
+    }
+
+    /**
+     * Weight of a single point under a weight scale, including points outside the fitted set
+     * @param {number} x - Concentration
+     * @param {number} y - Response
+     * @param {object} scale - {scheme, floor, meanWeight} from getWeightScale
+     * @returns {number} - Normalized weight (1 without weighting)
+     */
+    weightAt(x, y, scale) {
+        if (!scale || scale.scheme === 'none') return 1;
+        const value = Math.max(Math.abs(scale.scheme === '1/x2' ? x : y), scale.floor);
+        const raw = scale.scheme === '1/y' ? 1 / value : 1 / (value * value);
+        return raw / scale.meanWeight;
+    }
+
+    /**
+     * Calculate residual sum of squares (weighted when points carry w)
+     * @param {array} data - Array of {x, y[, w]} points
      * @param {object} params - {A, B, C, D}
      * @returns {number} - Sum of squared residuals
      */
     calculateSSR(data, params) {
         let ssr = 0;
         for (const point of data) {
-            const predicted = this.fourPL(point.x, params);
-            ssr += Math.pow(point.y - predicted, 2);
+            const predicted = this.evaluate(point.x, params);
+            const w = point.w !== undefined ? point.w : 1;
+            ssr += w * Math.pow(point.y - predicted, 2);
         }
         return ssr;
     }
 
     /**
-     * Calculate total sum of squares
-     * @param {array} data - Array of {x, y} points
+     * Calculate total sum of squares (around the weighted mean when points carry w)
+     * @param {array} data - Array of {x, y[, w]} points
      * @returns {number} - Total sum of squares
      */
     calculateSST(data) {
-        const mean = data.reduce((sum, p) => sum + p.y, 0) / data.length;
-        return data.reduce((sum, p) => sum + Math.pow(p.y - mean, 2), 0);
+        const weightOf = p => (p.w !== undefined ? p.w : 1);
+        const totalWeight = data.reduce((sum, p) => sum + weightOf(p), 0);
+        const mean = data.reduce((sum, p) => sum + weightOf(p) * p.y, 0) / totalWeight;
+        return data.reduce((sum, p) => sum + weightOf(p) * Math.pow(p.y - mean, 2), 0);
     }
 
     /**
      * Calculate R-squared
-     * @param {array} data - Array of {x, y} points
+     * @param {array} data - Array of {x, y[, w]} points
      * @param {object} params - {A, B, C, D}
      * @returns {number} - R-squared value
      */
@@ -90,6 +466,47 @@ class CurveFitter {
         return 1 - (ssr / sst);
     }
 
+    /**
+     * Split the residual sum of squares into pure error and lack of fit
+     * Pure error is the scatter of replicates around their own mean at each concentration;
+     * lack of fit is what remains between those means and the curve.
+     * @param {array} data - Array of {x, y[, w]} points with replicate x values
+     * @param {object} params - Fitted model parameters
+     * @returns {object|null} - {ssPureError, dfPureError, ssLackOfFit, dfLackOfFit, fValue} or null without replicates
+     */
+    calculateLackOfFit(data, params) {
+        const weightOf = p => (p.w !== undefined ? p.w : 1);
+        const groups = new Map();
+        data.forEach(p => {
+            if (!groups.has(p.x)) groups.set(p.x, []);
+            groups.get(p.x).push(p);
+        });
+
+        const numLevels = groups.size;
+        const numParams = this.getFreeParamNames(params).length;
+        const dfPureError = data.length - numLevels;
+        const dfLackOfFit = numLevels - numParams;
+
+        if (numParams === 0 || dfPureError <= 0 || dfLackOfFit <= 0) {
+            return null; // No replicates, or not enough levels to test the model
+        }
+
+        let ssPureError = 0;
+        groups.forEach(points => {
+            const totalWeight = points.reduce((sum, p) => sum + weightOf(p), 0);
+            const mean = points.reduce((sum, p) => sum + weightOf(p) * p.y, 0) / totalWeight;
+            points.forEach(p => {
+                ssPureError += weightOf(p) * Math.pow(p.y - mean, 2);
+            });
+        });
+
+        const ssLackOfFit = Math.max(0, this.calculateSSR(data, params) - ssPureError);
+        const msPureError = ssPureError / dfPureError;
+        const fValue = msPureError > 0 ? (ssLackOfFit / dfLackOfFit) / msPureError : 0;
+
+        return { ssPureError, dfPureError, ssLackOfFit, dfLackOfFit, fValue };
+    }
+
     /**
      * Initial parameter estimation
      * @param {array} data - Array of {x, y} points sorted by x
@@ -117,141 +534,536 @@ class CurveFitter {
 
         const D = sortedY[sortedY.length - 1];
 
-        return { A, B, C, D };
+        return { A, B, C, D, model: '4PL' };
+    }
+
+    /**
+     * Initial parameter estimation for 5PL
+     * Starts from the 4PL estimate with a symmetric curve (E = 1)
+     * @param {array} data - Array of {x, y} points sorted by x
+     * @returns {object} - Initial parameter estimates {A, B, C, D, E}
+     */
+    estimateInitialParams5PL(data) {
+        return { ...this.estimateInitialParams(data), E: 1.0, model: '5PL' };
+    }
+
+    /**
+     * Closed-form weighted least squares for the models that are linear in their parameters
+     * log-log is fitted as a straight line on log10(y), i.e. in its transformed space.
+     * @param {array} data - Array of {x, y, w} points
+     * @param {string} model - 'linear' | 'semilog' | 'loglog' | 'quadratic'
+     * @returns {object} - Fitted parameters (quadratic also keeps the fitted x range)
+     */
+    fitLinearModel(data, model) {
+        const basis = {
+            linear: x => [1, x],
+            semilog: x => [1, Math.log10(x)],
+            loglog: x => [1, Math.log10(x)],
+            quadratic: x => [1, x, x * x]
+        }[model];
+        const target = model === 'loglog' ? p => Math.log10(p.y) : p => p.y;
+        const paramNames = this.getParamNames(model);
+        const k = paramNames.length;
+
+        // Normal equations X^T W X β = X^T W y
+        const XtWX = Array.from({ length: k }, () => new Array(k).fill(0));
+        const XtWy = new Array(k).fill(0);
+        data.forEach(p => {
+            const row = basis(p.x);
+            const w = p.w !== undefined ? p.w : 1;
+            const t = target(p);
+            for (let i = 0; i < k; i++) {
+                XtWy[i] += w * row[i] * t;
+                for (let j = 0; j < k; j++) {
+                    XtWX[i][j] += w * row[i] * row[j];
+                }
+            }
+        });
+
+        const beta = this.solveLinearSystem(XtWX, XtWy);
+        if (!beta || beta.some(b => !isFinite(b))) {
+            throw new Error(`${this.getModelLabel(model)} fit failed: singular normal equations`);
+        }
+
+        const params = { model };
+        paramNames.forEach((name, i) => {
+            params[name] = beta[i];
+        });
+        if (model === 'quadratic') {
+            params.xMin = Math.min(...data.map(p => p.x));
+            params.xMax = Math.max(...data.map(p => p.x));
+        }
+        return params;
+    }
+
+    /**
+     * Natural cubic spline through the mean response of each concentration level (on log10 x)
+     * @param {array} data - Array of {x, y} points with x > 0
+     * @returns {object} - {model: 'spline', knots: {u, y, m}}
+     */
+    fitSpline(data) {
+        const levels = new Map();
+        data.forEach(p => {
+            if (!levels.has(p.x)) levels.set(p.x, []);
+            levels.get(p.x).push(p.y);
+        });
+
+        const sorted = Array.from(levels.entries()).sort((a, b) => a[0] - b[0]);
+        if (sorted.length < 3) {
+            throw new Error('At least 3 concentration levels are required for spline fitting');
+        }
+
+        const u = sorted.map(([x]) => Math.log10(x));
+        const y = sorted.map(([, values]) => values.reduce((a, b) => a + b, 0) / values.length);
+        const n = u.length;
+
+        // Tridiagonal system for the second derivatives, natural ends (m0 = m[n-1] = 0)
+        const m = new Array(n).fill(0);
+        const c = new Array(n).fill(0);
+        const d = new Array(n).fill(0);
+        for (let i = 1; i < n - 1; i++) {
+            const h0 = u[i] - u[i - 1];
+            const h1 = u[i + 1] - u[i];
+            const diag = 2 * (h0 + h1) - h0 * c[i - 1];
+            c[i] = h1 / diag;
+            d[i] = (6 * ((y[i + 1] - y[i]) / h1 - (y[i] - y[i - 1]) / h0) - h0 * d[i - 1]) / diag;
+        }
+        for (let i = n - 2; i >= 1; i--) {
+            m[i] = d[i] - c[i] * m[i + 1];
+        }
+
+        return { model: 'spline', knots: { u, y, m } };
     }
 
     /**
      * Levenberg-Marquardt optimization for 4PL fitting
      * Based on scipy.optimize.curve_fit behavior
+     * Built-in bounds: A >= 0, B >= 0, C >= 1e-12, D >= 0, unless set by the user (see resolveConstraints)
+     * @param {array} data - Array of {x, y[, w]} points
+     * @param {object} initialParams - Starting parameters
+     * @param {object} options - {constraints, robust, restarts, seed, maxIterations, tolerance}
+     *                           (see robustOptimize and multiStartOptimize)
      */
-    optimize(data, initialParams, maxIterations = 100000, tolerance = 1e-15) {
-        let params = { ...initialParams };
-        let lambda = 0.001;
-        let prevSSR = this.calculateSSR(data, params);
-
-        // Bounds: A >= 0, B >= 0, C >= 1e-12, D >= 0
-        const applyBounds = (p) => ({
-            A: Math.max(0, p.A),
-            B: Math.max(0, p.B),
-            C: Math.max(1e-12, p.C),
-            D: Math.max(0, p.D)
+    optimize(data, initialParams, options = {}) {
+        return this.optimizeConstrained(data, { ...initialParams, model: '4PL' }, options);
+    }
+
+    /**
+     * Levenberg-Marquardt optimization for 5PL fitting
+     * Same bounds as 4PL, plus E >= 1e-3 to keep the asymmetry factor meaningful
+     */
+    optimize5PL(data, initialParams, options = {}) {
+        return this.optimizeConstrained(data, { ...initialParams, model: '5PL' }, options);
+    }
+
+    /**
+     * Apply fixed values and bounds, then optimize the free parameters
+     * The returned params list their fixed parameters in fixedParams and carry the bounds used.
+     */
+    optimizeConstrained(data, initialParams, options = {}) {
+        const { freeNames, fixedValues, lower, upper } = this.resolveConstraints(initialParams.model, options.constraints);
+        const start = { ...initialParams, ...fixedValues };
+
+        this.robustReport = null;
+        const params = options.robust && options.robust !== 'none'
+            ? this.robustOptimize(data, start, freeNames, { lower, upper }, options)
+            : this.multiStartOptimize(data, start, freeNames, { lower, upper }, options);
+
+        return { ...params, fixedParams: Object.keys(fixedValues), bounds: { lower, upper } };
+    }
+
+    /**
+     * Run Levenberg-Marquardt from the initial guess and from perturbed copies of it, keep the best
+     * The perturbations come from a seeded generator, so the same data and seed give the same fit.
+     * The convergence report of the winning start is stored in this.convergenceReport.
+     * @param {array} data - Array of {x, y[, w]} points
+     * @param {object} initialParams - Starting parameters (including model)
+     * @param {string[]} paramNames - Parameters to optimize
+     * @param {object} bounds - {lower, upper} bound for each parameter
+     * @param {object} options - {restarts = 4, seed = 1, maxIterations = 200, tolerance = 1e-10,
+     *                            problem: custom objective (see levenbergMarquardt)}
+     * @returns {object} - Best parameters found
+     */
+    multiStartOptimize(data, initialParams, paramNames, bounds, options = {}) {
+        const { restarts = 4, seed = 1, maxIterations = 200, tolerance = 1e-10, problem = null } = options;
+        const random = this.createRandom(seed);
+
+        if (paramNames.length === 0) {
+            const ssr = problem ? problem.ssr(initialParams) : this.calculateSSR(data, initialParams);
+            this.convergenceReport = {
+                converged: true,
+                reason: 'all-fixed',
+                iterations: 0,
+                evaluations: 1,
+                ssr,
+                initialSSR: ssr,
+                gradientNorm: null,
+                finalLambda: null,
+                hitLambdaLimit: false
+            };
+            return { ...initialParams };
+        }
+
+        const starts = [initialParams];
+        for (let r = 0; r < restarts; r++) {
+            starts.push(this.perturbParams(initialParams, paramNames, random));
+        }
+
+        const runs = starts.map(start =>
+            this.levenbergMarquardt(data, start, paramNames, bounds, maxIterations, tolerance, problem));
+
+        // Prefer converged runs; among them (or all, if none converged) take the lowest SSR
+        const converged = runs.filter(run => run.report.converged);
+        const pool = converged.length > 0 ? converged : runs;
+        const best = pool.reduce((a, b) => (b.report.ssr < a.report.ssr ? b : a));
+
+        this.convergenceReport = {
+            ...best.report,
+            starts: runs.length,
+            convergedStarts: converged.length,
+            bestStart: runs.indexOf(best),
+            startSSRs: runs.map(run => run.report.ssr)
+        };
+
+        return best.params;
+    }
+
+    /**
+     * Iteratively reweighted least squares with a robust loss
+     * Starts from the ordinary multi-start fit. Each round divides the weighted residuals by a
+     * robust spread (MAD / 0.6745), turns them into Huber (k = 1.345) or Tukey bisquare
+     * (c = 4.685) weights, multiplies those into the point weights and refits from the previous
+     * solution. Stops when no weight moves by more than 1e-4 or after 30 rounds; a round that
+     * would leave fewer points with weight than parameters is not taken.
+     * The final weights (aligned with data) are stored in this.robustReport.
+     * @param {array} data - Array of {x, y[, w]} points
+     * @param {object} initialParams - Starting parameters (including model)
+     * @param {string[]} paramNames - Parameters to optimize
+     * @param {object} bounds - {lower, upper} bound for each parameter
+     * @param {object} options - {robust: 'huber' | 'bisquare', ...multiStartOptimize options}
+     *                           A custom objective is given as problemFor(data) => problem, with
+     *                           predict(point, params) for the residuals (see fitGlobal).
+     * @returns {object} - Parameters at convergence
+     */
+    robustOptimize(data, initialParams, paramNames, bounds, options = {}) {
+        const loss = options.robust;
+        const { problemFor = null, predict = (p, params) => this.evaluate(p.x, params) } = options;
+        const settingsFor = (points, extra = {}) => (problemFor ? { ...options, ...extra, problem: problemFor(points) } : { ...options, ...extra });
+        const baseWeights = data.map(p => (p.w !== undefined ? p.w : 1));
+        let params = this.multiStartOptimize(data, initialParams, paramNames, bounds, settingsFor(data));
+        let weights = data.map(() => 1);
+        let iterations = 0;
+        let scale = null;
+
+        for (let round = 0; round < 30; round++) {
+            const residuals = data.map((p, i) => Math.sqrt(baseWeights[i]) * (p.y - predict(p, params)));
+            const roundScale = this.robustScale(residuals);
+            if (!(roundScale > 0)) break;
+
+            const next = residuals.map(r => this.robustWeight(r / roundScale, loss));
+            if (next.filter(w => w > 0).length <= paramNames.length) break;
+
+            const change = Math.max(...next.map((w, i) => Math.abs(w - weights[i])));
+            weights = next;
+            scale = roundScale;
+            iterations = round + 1;
+
+            const reweighted = data.map((p, i) => ({ ...p, w: baseWeights[i] * weights[i] }));
+            params = this.multiStartOptimize(reweighted, params, paramNames, bounds, settingsFor(reweighted, { restarts: 0 }));
+
+            if (change < 1e-4) break;
+        }
+
+        this.robustReport = { loss, weights, iterations, scale };
+        return params;
+    }
+
+    /**
+     * Robust spread of residuals: median absolute deviation, scaled to match σ for normal errors
+     */
+    robustScale(residuals) {
+        const median = (values) => {
+            const sorted = values.slice().sort((a, b) => a - b);
+            const mid = Math.floor(sorted.length / 2);
+            return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+        };
+        const center = median(residuals);
+        return median(residuals.map(r => Math.abs(r - center))) / 0.6745;
+    }
+
+    /**
+     * IRLS weight of a scaled residual u = r / s
+     * Huber: 1 inside |u| <= 1.345, k / |u| outside. Bisquare: (1 - (u / 4.685)^2)^2, 0 beyond 4.685.
+     */
+    robustWeight(u, loss) {
+        const a = Math.abs(u);
+        if (loss === 'huber') {
+            const k = 1.345;
+            return a <= k ? 1 : k / a;
+        }
+        if (loss === 'bisquare') {
+            const c = 4.685;
+            return a < c ? Math.pow(1 - (u / c) * (u / c), 2) : 0;
+        }
+        return 1;
+    }
+
+    /**
+     * Random restart around an initial guess
+     * A and D move by up to ±10% of the response range, B and E by a factor 0.5-2, C by a factor 0.1-10.
+     * Per-plate names of a global fit ('C@2') are perturbed like their base parameter.
+     * @param {object} params - Initial parameters
+     * @param {string[]} paramNames - Parameters to perturb
+     * @param {function} random - Uniform [0, 1) generator
+     * @returns {object} - Perturbed parameters
+     */
+    perturbParams(params, paramNames, random) {
+        const range = Math.abs(params.D - params.A) || 1;
+        const perturbed = { ...params };
+
+        paramNames.forEach(name => {
+            const u = random() * 2 - 1; // [-1, 1)
+            const base = name.split('@')[0];
+            if (base === 'A' || base === 'D') {
+                perturbed[name] = params[name] + u * 0.1 * range;
+            } else if (base === 'C') {
+                perturbed[name] = params[name] * Math.pow(10, u);
+            } else {
+                perturbed[name] = params[name] * Math.pow(2, u);
+            }
         });
 
-        params = applyBounds(params);
+        return perturbed;
+    }
+
+    /**
+     * Seeded uniform random generator (mulberry32)
+     * @param {number} seed - Integer seed
+     * @returns {function} - Returns numbers in [0, 1)
+     */
+    createRandom(seed) {
+        let state = seed >>> 0;
+        return () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    /**
+     * Shared Levenberg-Marquardt loop
+     * Columns of J are scaled to unit length before solving, so parameters of very different
+     * magnitude (C in ng/mL vs. B around 1) are damped evenly; λ·I in the scaled space is
+     * Marquardt's λ·diag(J^T J).
+     * Stops when the relative SSR decrease, the relative step or the scaled gradient falls
+     * below tolerance, when maxIterations is reached, or when λ exceeds 1e15.
+     * @param {array} data - Array of {x, y} points
+     * @param {object} initialParams - Starting parameters (including model)
+     * @param {string[]} paramNames - Parameters to optimize, in Jacobian column order
+     * @param {object} bounds - {lower, upper} bound for each parameter (upper may be Infinity)
+     * @param {number} maxIterations - Iteration cap
+     * @param {number} tolerance - Relative tolerance for SSR, step and gradient tests
+     * @param {object} problem - Optional custom objective {ssr(params), linearize(params) -> {jacobian, residuals}}
+     *                           used instead of data (e.g. by fitGlobal)
+     * @returns {object} - {params, report: {converged, reason, iterations, evaluations, ssr, initialSSR,
+     *                      gradientNorm, finalLambda, hitLambdaLimit}}
+     */
+    levenbergMarquardt(data, initialParams, paramNames, bounds, maxIterations, tolerance, problem = null) {
+        const n = paramNames.length;
+        const calculateSSR = problem
+            ? problem.ssr
+            : (p) => this.calculateSSR(data, p);
+        const linearize = problem
+            ? problem.linearize
+            : (p) => this.calculateJacobianAndResiduals(data, p, paramNames);
+        let lambda = 0.001;
+        let iterations = 0;
+        let evaluations = 1;
+        let reason = 'max-iterations';
+        let gradientNorm = null;
+
+        const applyBounds = (p) => {
+            const bounded = { ...p };
+            paramNames.forEach(name => {
+                bounded[name] = Math.min(bounds.upper[name], Math.max(bounds.lower[name], p[name]));
+            });
+            return bounded;
+        };
+
+        let params = applyBounds(initialParams);
+        let ssr = calculateSSR(params);
+        const initialSSR = ssr;
+        let { jacobian, residuals } = linearize(params);
 
         for (let iter = 0; iter < maxIterations; iter++) {
-            // Calculate Jacobian and residuals
-            const { jacobian, residuals } = this.calculateJacobianAndResiduals(data, params);
+            iterations = iter + 1;
+
+            if (ssr === 0) {
+                reason = 'converged-ssr';
+                break;
+            }
+
+            const Jt = this.transpose(jacobian);
+
+            // Column scaling: s_j = 1 / ||J_j||
+            const scale = Jt.map(col => {
+                const norm = Math.sqrt(col.reduce((sum, v) => sum + v * v, 0));
+                return norm > 0 && isFinite(norm) ? 1 / norm : 1;
+            });
 
-            // J^T * J
-            const JtJ = this.matrixMultiply(this.transpose(jacobian), jacobian);
+            // Scaled normal equations: (S J^T J S + lambda I) d = S J^T r
+            const JtJ = this.matrixMultiply(Jt, jacobian);
+            const Jtr = this.matrixVectorMultiply(Jt, residuals);
+            const lhs = JtJ.map((row, i) => row.map((v, j) => v * scale[i] * scale[j]));
+            const rhs = Jtr.map((v, i) => v * scale[i]);
 
-            // J^T * r
-            const Jtr = this.matrixVectorMultiply(this.transpose(jacobian), residuals);
+            // Gradient test: largest cosine between the residual vector and a Jacobian column
+            gradientNorm = Math.max(...rhs.map(Math.abs)) / Math.sqrt(ssr);
+            if (gradientNorm < tolerance) {
+                reason = 'converged-gradient';
+                break;
+            }
 
-            // Add damping: (J^T * J + lambda * diag(J^T * J)) * delta = J^T * r
-            // Using Marquardt's improvement: scale by diagonal
-            for (let i = 0; i < 4; i++) {
-                JtJ[i][i] *= (1 + lambda);
-                if (JtJ[i][i] < 1e-10) JtJ[i][i] = 1e-10; // Prevent singularity
+            for (let i = 0; i < n; i++) {
+                lhs[i][i] += lambda;
             }
 
-            // Solve for delta
-            const delta = this.solveLinearSystem(JtJ, Jtr);
+            const scaledDelta = this.solveLinearSystem(lhs, rhs);
 
-            if (!delta || delta.some(d => !isFinite(d))) {
+            if (!scaledDelta || scaledDelta.some(d => !isFinite(d))) {
                 lambda *= 10;
-                if (lambda > 1e15) break;
+                if (lambda > 1e15) {
+                    reason = 'lambda-limit';
+                    break;
+                }
                 continue;
             }
 
             // Update parameters with bounds
-            const newParams = applyBounds({
-                A: params.A + delta[0],
-                B: params.B + delta[1],
-                C: params.C + delta[2],
-                D: params.D + delta[3]
+            const stepped = { ...params };
+            paramNames.forEach((name, i) => {
+                stepped[name] = params[name] + scaledDelta[i] * scale[i];
             });
+            const newParams = applyBounds(stepped);
+            const newSSR = calculateSSR(newParams);
+            evaluations++;
 
-            const newSSR = this.calculateSSR(data, newParams);
+            const relStep = Math.max(...paramNames.map(name =>
+                Math.abs(newParams[name] - params[name]) / (Math.abs(params[name]) + tolerance)));
 
-            if (newSSR < prevSSR) {
+            if (newSSR < ssr) {
                 // Accept update
+                const relChange = (ssr - newSSR) / ssr;
                 params = newParams;
-                lambda = Math.max(1e-10, lambda / 10);
+                ssr = newSSR;
+                lambda = Math.max(1e-12, lambda / 10);
+                ({ jacobian, residuals } = linearize(params));
 
-                // Convergence check: relative change in SSR
-                const relChange = Math.abs(prevSSR - newSSR) / (prevSSR + 1e-15);
                 if (relChange < tolerance) {
+                    reason = 'converged-ssr';
+                    break;
+                }
+                if (relStep < tolerance) {
+                    reason = 'converged-step';
                     break;
                 }
-                prevSSR = newSSR;
             } else {
                 // Reject update, increase damping
                 lambda *= 10;
-            }
 
-            if (lambda > 1e15) {
-                break;
+                // The step no longer changes the parameters at working precision
+                if (relStep < tolerance) {
+                    reason = 'converged-step';
+                    break;
+                }
+                if (lambda > 1e15) {
+                    reason = 'lambda-limit';
+                    break;
+                }
             }
         }
 
-        return params;
+        return {
+            params,
+            report: {
+                converged: reason.startsWith('converged'),
+                reason,
+                iterations,
+                evaluations,
+                ssr,
+                initialSSR,
+                gradientNorm,
+                finalLambda: lambda,
+                hitLambdaLimit: reason === 'lambda-limit'
+            }
+        };
     }
 
     /**
-     * Calculate Jacobian matrix and residuals
-     * J[i][j] = d(predicted[i])/d(param[j])
-     * residuals[i] = y[i] - predicted[i]
+     * Partial derivatives of the model with respect to its parameters at x
+     * Analytic for 4PL/5PL, central differences for the other models.
+     * @param {number} x - Concentration
+     * @param {object} params - Model parameters
+     * @param {string[]} paramNames - Parameters to differentiate
+     * @returns {number[]} - d(model)/d(param) in paramNames order
      */
-    calculateJacobianAndResiduals(data, params) {
-        const { A, B, C, D } = params;
-        const jacobian = [];
-        const residuals = [];
-        const h = 1e-8;
-
-        for (const point of data) {
-            const x = point.x;
-            const y = point.y;
-            const predicted = this.fourPL(x, params);
-
-            residuals.push(y - predicted);
-
-            // Numerical partial derivatives with central differences for better accuracy
-            const dA = (this.fourPL(x, { A: A + h, B, C, D }) - this.fourPL(x, { A: A - h, B, C, D })) / (2 * h);
-            const dB = (this.fourPL(x, { A, B: B + h, C, D }) - this.fourPL(x, { A, B: B - h, C, D })) / (2 * h);
-            const dC = (this.fourPL(x, { A, B, C: C + h, D }) - this.fourPL(x, { A, B, C: C - h, D })) / (2 * h);
-            const dD = (this.fourPL(x, { A, B, C, D: D + h }) - this.fourPL(x, { A, B, C, D: D - h })) / (2 * h);
+    modelGradient(x, params, paramNames) {
+        const model = params.model || '4PL';
+
+        if (model === '4PL' || model === '5PL') {
+            const { A, B, C, D } = params;
+            const E = model === '5PL' ? params.E : 1;
+            const grad = { A: 1, B: 0, C: 0, D: 0, E: 0 };
+
+            if (x > 0) {
+                const u = Math.pow(x / C, B);
+                if (!isFinite(u)) {
+                    // Far past the inflection: y = D
+                    Object.assign(grad, { A: 0, D: 1 });
+                } else {
+                    const s = 1 + u;
+                    const P = Math.pow(s, -E);          // (1 + u)^-E
+                    const uOverS = u / s;
+                    grad.A = P;
+                    grad.D = 1 - P;
+                    grad.B = -(A - D) * E * P * uOverS * Math.log(x / C);
+                    grad.C = (A - D) * E * P * uOverS * B / C;
+                    grad.E = -(A - D) * P * Math.log(s);
+                }
+            }
 
-            jacobian.push([dA, dB, dC, dD]);
+            return paramNames.map(name => grad[name]);
         }
 
-        return { jacobian, residuals };
+        const base = this.evaluate(x, params);
+        return paramNames.map(name => {
+            const h = Math.max(Math.abs(params[name]) * 1e-6, 1e-9);
+            const up = this.evaluate(x, { ...params, [name]: params[name] + h });
+            const down = this.evaluate(x, { ...params, [name]: params[name] - h });
+            return isFinite(up) && isFinite(down) ? (up - down) / (2 * h) : (up - base) / h;
+        });
     }
 
     /**
      * Calculate Jacobian matrix and residuals
+     * J[i][j] = d(predicted[i])/d(param[j]), residuals[i] = y[i] - predicted[i]
+     * Rows are scaled by sqrt(w) so that J^T * J and J^T * r are the weighted normal equations
+     * @param {array} data - Array of {x, y[, w]} points
+     * @param {object} params - Model parameters (params.model selects the model)
+     * @param {string[]} paramNames - Parameters to differentiate, in column order
      */
-    calculateJacobianAndResiduals(data, params) {
-        const { A, B, C, D } = params;
+    calculateJacobianAndResiduals(data, params, paramNames = this.getFreeParamNames(params)) {
         const jacobian = [];
         const residuals = [];
-        const h = 1e-6; // Small step for numerical differentiation
 
         for (const point of data) {
-            const x = point.x;
-            const y = point.y;
-            const predicted = this.fourPL(x, params);
-
-            residuals.push(y - predicted);
-
-            // Numerical partial derivatives
-            const dA = (this.fourPL(x, { A: A + h, B, C, D }) - predicted) / h;
-            const dB = (this.fourPL(x, { A, B: B + h, C, D }) - predicted) / h;
-            const dC = (this.fourPL(x, { A, B, C: C + h, D }) - predicted) / h;
-            const dD = (this.fourPL(x, { A, B, C, D: D + h }) - predicted) / h;
+            const predicted = this.evaluate(point.x, params);
+            const sqrtW = Math.sqrt(point.w !== undefined ? point.w : 1);
 
-            jacobian.push([dA, dB, dC, dD]);
+            residuals.push(sqrtW * (point.y - predicted));
+            jacobian.push(this.modelGradient(point.x, params, paramNames).map(d => sqrtW * d));
         }
 
         return { jacobian, residuals };
@@ -311,6 +1123,76 @@ class CurveFitter {
         return result;
     }
 
+    /**
+     * Matrix inverse using Gauss-Jordan elimination with partial pivoting
+     * @returns {array|null} - Inverse matrix or null if singular
+     */
+    invertMatrix(matrix) {
+        const n = matrix.length;
+        const aug = matrix.map((row, i) => [
+            ...row,
+            ...Array.from({ length: n }, (_, j) => (i === j ? 1 : 0))
+        ]);
+
+        for (let col = 0; col < n; col++) {
+            // Find pivot
+            let maxRow = col;
+            for (let row = col + 1; row < n; row++) {
+                if (Math.abs(aug[row][col]) > Math.abs(aug[maxRow][col])) {
+                    maxRow = row;
+                }
+            }
+            [aug[col], aug[maxRow]] = [aug[maxRow], aug[col]];
+
+            const pivot = aug[col][col];
+            if (Math.abs(pivot) < 1e-300) {
+                return null; // Singular matrix
+            }
+
+            for (let j = 0; j < 2 * n; j++) {
+                aug[col][j] /= pivot;
+            }
+
+            for (let row = 0; row < n; row++) {
+                if (row === col) continue;
+                const factor = aug[row][col];
+                for (let j = 0; j < 2 * n; j++) {
+                    aug[row][j] -= factor * aug[col][j];
+                }
+            }
+        }
+
+        return aug.map(row => row.slice(n));
+    }
+
+    /**
+     * Parameter covariance matrix at the fitted parameters
+     * Cov = s² (J^T W J)^-1 with s² = SSR / (n - p)
+     * @param {array} data - Array of {x, y[, w]} points used for the fit
+     * @param {object} params - Fitted parameters
+     * @returns {object|null} - {paramNames, covariance, standardErrors, dof, residualVariance} or null
+     */
+    calculateCovariance(data, params) {
+        const paramNames = this.getFreeParamNames(params);
+        const dof = data.length - paramNames.length;
+        if (paramNames.length === 0 || dof <= 0) return null;
+
+        const { jacobian } = this.calculateJacobianAndResiduals(data, params, paramNames);
+        const JtJ = this.matrixMultiply(this.transpose(jacobian), jacobian);
+        const inverse = this.invertMatrix(JtJ);
+        if (!inverse) return null;
+
+        const residualVariance = this.calculateSSR(data, params) / dof;
+        const covariance = inverse.map(row => row.map(v => v * residualVariance));
+
+        const standardErrors = {};
+        paramNames.forEach((name, i) => {
+            standardErrors[name] = covariance[i][i] >= 0 ? Math.sqrt(covariance[i][i]) : NaN;
+        });
+
+        return { paramNames, covariance, standardErrors, dof, residualVariance };
+    }
+
     /**
      * Solve linear system Ax = b using Gaussian elimination
      */
@@ -358,37 +1240,668 @@ class CurveFitter {
     }
 
     /**
-     * Fit 4PL curve to data
+     * Fit a calibration curve to data
      * @param {array} data - Array of {x: concentration, y: absorbance}
-     * @returns {object} - {params: {A, B, C, D}, rSquared: number}
+     * @param {object} options - {model: '4PL' | '5PL' | 'linear' | 'semilog' | 'loglog' | 'quadratic' | 'spline',
+     *                            weighting: 'none' | '1/y' | '1/y2' | '1/x2',
+     *                            constraints: {A: {fixed, lower, upper}, ...} for 4PL/5PL,
+     *                            robust: 'none' | 'huber' | 'bisquare' (IRLS, 4PL/5PL only),
+     *                            restarts, seed, maxIterations, tolerance: optimizer settings for 4PL/5PL}
+     * @returns {object} - {params: {...model parameters, model}, rSquared: number, adjustedRSquared: number|null,
+     *                       freeParams: string[], weighting: string, weightScale: object, lackOfFit: object|null,
+     *                       covariance: object|null, monotonicity: object,
+     *                       robust: {loss, iterations, scale, weights: [{x, y, wellId, weight}]}|null,
+     *                       diagnostics: object}
+     * With a robust loss, R², SSR, lack of fit and covariance use the final IRLS weights.
      */
-    fit(data) {
-        if (data.length < 4) {
-            throw new Error('At least 4 data points are required for 4PL fitting');
+    fit(data, options = {}) {
+        const { model = '4PL', weighting = 'none', ...optimizerOptions } = options;
+        const minPoints = this.getMinPoints(model);
+
+        if (data.length < minPoints) {
+            throw new Error(`At least ${minPoints} data points are required for ${model} fitting`);
         }
 
-        // Filter out invalid data points (include x=0 for zero concentration standards)
-        const validData = data.filter(p => p.x >= 0 && !isNaN(p.x) && !isNaN(p.y));
+        // Filter out invalid data points (x=0 standards are kept unless the model has a log-x axis)
+        const usable = data.filter(p => this.isValidPoint(p, model));
+        const weightScale = this.getWeightScale(usable, weighting);
+        const validData = usable.map(p => ({ ...p, w: this.weightAt(p.x, p.y, weightScale) }));
 
-        if (validData.length < 4) {
-            throw new Error('Not enough valid data points for 4PL fitting');
+        if (validData.length < minPoints) {
+            throw new Error(`Not enough valid data points for ${model} fitting`);
         }
 
-        // Estimate initial parameters
-        const initialParams = this.estimateInitialParams(validData);
+        // A hooked or otherwise non-monotonic series cannot be described by any of the curves;
+        // reported with the result so the caller can flag or drop the offending levels
+        const monotonicity = this.detectNonMonotonic(validData);
+
+        // Estimate initial parameters and optimize
+        this.robustReport = null;
+        if (model === '5PL') {
+            const initialParams = this.estimateInitialParams5PL(validData);
+            this.params = this.optimize5PL(validData, initialParams, optimizerOptions);
+        } else if (model === '4PL') {
+            const initialParams = this.estimateInitialParams(validData);
+            this.params = this.optimize(validData, initialParams, optimizerOptions);
+        } else {
+            this.params = model === 'spline'
+                ? this.fitSpline(validData)
+                : this.fitLinearModel(validData, model);
+            this.convergenceReport = {
+                converged: true,
+                reason: 'closed-form',
+                iterations: 0,
+                hitLambdaLimit: false,
+                finalLambda: null
+            };
+        }
+
+        // Statistics of a robust fit use the weights it converged to
+        const robust = this.robustReport;
+        const fitData = robust
+            ? validData.map((p, i) => ({ ...p, w: p.w * robust.weights[i] }))
+            : validData;
 
-        // Optimize parameters
-        this.params = this.optimize(validData, initialParams);
+        // Calculate R-squared (weighted R² when a weighting scheme is used)
+        this.rSquared = this.calculateRSquared(fitData, this.params);
 
-        // Calculate R-squared
-        this.rSquared = this.calculateRSquared(validData, this.params);
+        const ssr = this.calculateSSR(fitData, this.params);
+
+        // Adjusted R² only counts the parameters that were actually estimated
+        const freeParams = this.getFreeParamNames(this.params);
+        const adjDof = validData.length - freeParams.length - 1;
+        const adjustedRSquared = adjDof > 0
+            ? 1 - (1 - this.rSquared) * (validData.length - 1) / adjDof
+            : null;
 
         return {
             params: this.params,
-            rSquared: this.rSquared
+            rSquared: this.rSquared,
+            adjustedRSquared,
+            freeParams,
+            weighting,
+            weightScale,
+            lackOfFit: this.calculateLackOfFit(fitData, this.params),
+            covariance: this.calculateCovariance(fitData, this.params),
+            monotonicity,
+            robust: robust
+                ? {
+                    loss: robust.loss,
+                    iterations: robust.iterations,
+                    scale: robust.scale,
+                    weights: validData.map((p, i) => ({ x: p.x, y: p.y, wellId: p.wellId, weight: robust.weights[i] }))
+                }
+                : null,
+            diagnostics: {
+                ssr,
+                rmse: Math.sqrt(ssr / validData.length),
+                n: validData.length,
+                ...this.convergenceReport
+            }
         };
     }
 
+    /**
+     * Fit every available model and rank them by information criteria
+     * All candidates are fitted to the points every one of them can use, so with a log-x
+     * model in the set, x = 0 points are left out of the comparison.
+     * k counts the curve parameters plus the residual variance.
+     * AIC = n·ln(SSR/n) + 2k, AICc = AIC + 2k(k+1)/(n-k-1), BIC = n·ln(SSR/n) + k·ln(n)
+     * @param {array} data - Array of {x, y} points
+     * @param {object} options - {weighting, models, constraints}
+     * @returns {object} - {models: [...], best, fTests: [...]}
+     */
+    compareModels(data, options = {}) {
+        const { weighting = 'none', models = this.getAvailableModels(), constraints = null } = options;
+        const entries = [];
+        const commonData = data.filter(p => models.every(model => this.isValidPoint(p, model)));
+
+        models.forEach(model => {
+            try {
+                const result = this.fit(commonData, { model, weighting, constraints });
+                const { ssr, n } = result.diagnostics;
+                const k = result.freeParams.length + 1;
+                const logLikTerm = n * Math.log(Math.max(ssr, 1e-300) / n);
+                const aic = logLikTerm + 2 * k;
+                const aicc = n - k - 1 > 0 ? aic + (2 * k * (k + 1)) / (n - k - 1) : Infinity;
+                const bic = logLikTerm + k * Math.log(n);
+
+                entries.push({ model, n, k, ssr, aic, aicc, bic, result });
+            } catch (error) {
+                console.warn(`Model comparison: ${model} fit failed:`, error.message);
+            }
+        });
+
+        if (entries.length === 0) {
+            return { models: [], best: null, fTests: [] };
+        }
+
+        // Rank by AICc (small-sample corrected); fall back to AIC if no model has a finite AICc
+        const criterion = entries.some(e => isFinite(e.aicc)) ? 'aicc' : 'aic';
+        const minValue = Math.min(...entries.map(e => e[criterion]));
+        const relLik = entries.map(e => isFinite(e[criterion]) ? Math.exp(-(e[criterion] - minValue) / 2) : 0);
+        const relLikSum = relLik.reduce((a, b) => a + b, 0);
+
+        entries.forEach((e, i) => {
+            e.delta = e[criterion] - minValue;
+            e.weight = relLikSum > 0 ? relLik[i] / relLikSum : null;
+        });
+
+        const best = entries.reduce((a, b) => (b[criterion] < a[criterion] ? b : a)).model;
+
+        // Extra-sum-of-squares F-test between nested models that were both fitted
+        const fTests = this.getNestedModelPairs()
+            .map(([simple, complex]) => {
+                const s = entries.find(e => e.model === simple);
+                const c = entries.find(e => e.model === complex);
+                if (!s || !c) return null;
+
+                const df1 = c.k - s.k;
+                const df2 = c.n - (c.k - 1);
+                if (df1 <= 0 || df2 <= 0 || c.ssr <= 0) return null;
+
+                const fValue = Math.max(0, ((s.ssr - c.ssr) / df1) / (c.ssr / df2));
+                return { simple, complex, fValue, df1, df2 };
+            })
+            .filter(t => t !== null);
+
+        return { models: entries, best, criterion, fTests };
+    }
+
+    /**
+     * Fit one 4PL/5PL model to several plates at once
+     * Parameters in sharedParams take a single value for all plates, the others are estimated
+     * per plate (named 'C@0', 'C@1', ... in the combined parameter vector).
+     * Every plate is also fitted on its own; the extra-sum-of-squares F-test of the shared
+     * model against those independent fits tells whether pooling is justified.
+     * Fixed values and bounds apply per plate as in fit(). A shared parameter must be constrained
+     * the same way on every plate, and all plates must use the same robust loss.
+     * @param {array} datasets - [{key, data: [{x, y}], constraints, robust}], key identifies the plate
+     *                           in the result; constraints and robust loss as for fit()
+     * @param {object} options - {model: '4PL' | '5PL', weighting, sharedParams: string[],
+     *                            restarts, seed, maxIterations, tolerance}
+     * @returns {object} - {model, sharedParams, plates: {[key]: result as returned by fit()}, ssr, n, dof,
+     *                       parameterCount, independent: {ssr, dof, parameterCount}, fTest: {fValue, df1, df2},
+     *                       diagnostics}
+     */
+    fitGlobal(datasets, options = {}) {
+        const { model = '4PL', weighting = 'none', sharedParams = ['A', 'B', 'D'], ...optimizerOptions } = options;
+
+        if (model !== '4PL' && model !== '5PL') {
+            throw new Error('Global fitting is only available for 4PL and 5PL');
+        }
+
+        const names = this.getParamNames(model);
+        const shared = names.filter(name => sharedParams.includes(name));
+        const local = names.filter(name => !shared.includes(name));
+        const minPoints = this.getMinPoints(model);
+
+        const sets = datasets
+            .map(({ key, data, constraints = null, robust = 'none' }) => ({
+                key,
+                constraints,
+                robust: robust || 'none',
+                raw: data.filter(p => this.isValidPoint(p, model))
+            }))
+            .filter(set => set.raw.length >= minPoints)
+            .map(set => ({ ...set, weightScale: this.getWeightScale(set.raw, weighting) }))
+            .map(set => ({ ...set, data: set.raw.map(p => ({ ...p, w: this.weightAt(p.x, p.y, set.weightScale) })) }));
+
+        if (sets.length < 2) {
+            throw new Error('Global fitting needs at least two plates with enough standards');
+        }
+
+        const robust = sets[0].robust;
+        if (sets.some(set => set.robust !== robust)) {
+            throw new Error('Global fitting needs the same robust loss on every plate');
+        }
+
+        // Fixed values and bounds of each plate; a shared parameter has one value, so one constraint
+        const resolved = sets.map(set => this.resolveConstraints(model, set.constraints));
+        shared.forEach(name => {
+            const first = resolved[0];
+            const same = resolved.every(r => r.fixedValues[name] === first.fixedValues[name] &&
+                r.lower[name] === first.lower[name] && r.upper[name] === first.upper[name]);
+            if (!same) {
+                throw new Error(`Shared parameter ${name} is constrained differently on the plates`);
+            }
+        });
+
+        // Independent fits: starting values, and the unpooled model for the F-test
+        const independent = sets.map(set => this.fit(set.raw, {
+            model, weighting, ...optimizerOptions, constraints: set.constraints, robust: set.robust
+        }));
+
+        // Key of a plate's parameter in the combined vector
+        const keyOf = (name, s) => (shared.includes(name) ? name : `${name}@${s}`);
+        const start = { model };
+        const fixedKeys = [];
+        shared.forEach(name => {
+            if (name in resolved[0].fixedValues) {
+                start[name] = resolved[0].fixedValues[name];
+                fixedKeys.push(name);
+                return;
+            }
+            const values = independent.map(r => r.params[name]).sort((a, b) => a - b);
+            const mid = Math.floor(values.length / 2);
+            start[name] = values.length % 2 ? values[mid] : (values[mid - 1] + values[mid]) / 2;
+        });
+        sets.forEach((_, s) => {
+            local.forEach(name => {
+                const fixed = name in resolved[s].fixedValues;
+                start[keyOf(name, s)] = fixed ? resolved[s].fixedValues[name] : independent[s].params[name];
+                if (fixed) fixedKeys.push(keyOf(name, s));
+            });
+        });
+        const paramNames = Object.keys(start).filter(key => key !== 'model' && !fixedKeys.includes(key));
+
+        const bounds = { lower: {}, upper: {} };
+        sets.forEach((_, s) => {
+            names.forEach(name => {
+                const key = keyOf(name, s);
+                if (!paramNames.includes(key)) return;
+                bounds.lower[key] = resolved[s].lower[name];
+                bounds.upper[key] = resolved[s].upper[name];
+            });
+        });
+
+        // Free parameters of each plate and the column of the combined vector each one maps to
+        const plateFree = sets.map((_, s) => names.filter(name => paramNames.includes(keyOf(name, s))));
+        const columns = plateFree.map((free, s) => free.map(name => paramNames.indexOf(keyOf(name, s))));
+        const plateParams = (params, s) => {
+            const p = { model };
+            names.forEach(name => {
+                p[name] = params[keyOf(name, s)];
+            });
+            return p;
+        };
+
+        // All points in one array, tagged with their plate, so a robust loss reweights them together
+        const pooled = sets.flatMap((set, s) => set.data.map(p => ({ ...p, set: s })));
+        const problemFor = (data) => {
+            const bySet = sets.map((_, s) => data.filter(p => p.set === s));
+            return {
+                ssr: (params) => bySet.reduce((sum, setData, s) => sum + this.calculateSSR(setData, plateParams(params, s)), 0),
+                linearize: (params) => {
+                    const jacobian = [];
+                    const residuals = [];
+                    bySet.forEach((setData, s) => {
+                        const part = this.calculateJacobianAndResiduals(setData, plateParams(params, s), plateFree[s]);
+                        part.jacobian.forEach((row, i) => {
+                            const full = new Array(paramNames.length).fill(0);
+                            row.forEach((d, j) => {
+                                full[columns[s][j]] += d;
+                            });
+                            jacobian.push(full);
+                            residuals.push(part.residuals[i]);
+                        });
+                    });
+                    return { jacobian, residuals };
+                }
+            };
+        };
+
+        this.robustReport = null;
+        const params = robust !== 'none'
+            ? this.robustOptimize(pooled, start, paramNames, bounds, {
+                ...optimizerOptions,
+                robust,
+                problemFor,
+                predict: (p, values) => this.evaluate(p.x, plateParams(values, p.set))
+            })
+            : this.multiStartOptimize(null, start, paramNames, bounds, { ...optimizerOptions, problem: problemFor(pooled) });
+        const report = this.convergenceReport;
+
+        // Statistics of a robust fit use the weights it converged to
+        const robustReport = this.robustReport;
+        const fitData = robustReport
+            ? pooled.map((p, i) => ({ ...p, w: p.w * robustReport.weights[i] }))
+            : pooled;
+        const problem = problemFor(fitData);
+
+        const ssr = problem.ssr(params);
+        const n = pooled.length;
+        const dof = n - paramNames.length;
+
+        // Covariance of the combined vector; each plate gets the block of its own free parameters
+        let covariance = null;
+        if (dof > 0 && paramNames.length > 0) {
+            const { jacobian } = problem.linearize(params);
+            const inverse = this.invertMatrix(this.matrixMultiply(this.transpose(jacobian), jacobian));
+            if (inverse) {
+                const residualVariance = ssr / dof;
+                covariance = { matrix: inverse.map(row => row.map(v => v * residualVariance)), residualVariance };
+            }
+        }
+
+        const plates = {};
+        sets.forEach((set, s) => {
+            const p = {
+                ...plateParams(params, s),
+                fixedParams: Object.keys(resolved[s].fixedValues),
+                sharedParams: shared,
+                bounds: { lower: resolved[s].lower, upper: resolved[s].upper }
+            };
+            const indices = pooled.map((point, i) => (point.set === s ? i : null)).filter(i => i !== null);
+            const setData = indices.map(i => fitData[i]);
+            const plateSSR = this.calculateSSR(setData, p);
+            let plateCovariance = null;
+            if (covariance) {
+                const block = columns[s].map(i => columns[s].map(j => covariance.matrix[i][j]));
+                const standardErrors = {};
+                plateFree[s].forEach((name, j) => {
+                    standardErrors[name] = block[j][j] >= 0 ? Math.sqrt(block[j][j]) : NaN;
+                });
+                plateCovariance = {
+                    paramNames: plateFree[s],
+                    covariance: block,
+                    standardErrors,
+                    dof,
+                    residualVariance: covariance.residualVariance
+                };
+            }
+
+            plates[set.key] = {
+                params: p,
+                rSquared: this.calculateRSquared(setData, p),
+                // Adjusted R² and lack-of-fit assume the plate's own parameter count, which the pooled model does not have
+                adjustedRSquared: null,
+                freeParams: plateFree[s],
+                weighting,
+                weightScale: set.weightScale,
+                lackOfFit: null,
+                covariance: plateCovariance,
+                robust: robustReport
+                    ? {
+                        loss: robustReport.loss,
+                        iterations: robustReport.iterations,
+                        scale: robustReport.scale,
+                        weights: indices.map(i => ({ x: pooled[i].x, y: pooled[i].y, wellId: pooled[i].wellId, weight: robustReport.weights[i] }))
+                    }
+                    : null,
+                diagnostics: {
+                    ssr: plateSSR,
+                    rmse: Math.sqrt(plateSSR / set.data.length),
+                    n: set.data.length,
+                    ...report
+                }
+            };
+        });
+
+        const independentSSR = independent.reduce((sum, r) => sum + r.diagnostics.ssr, 0);
+        const independentCount = independent.reduce((sum, r) => sum + r.freeParams.length, 0);
+        const independentDof = n - independentCount;
+        const df1 = independentCount - paramNames.length;
+        const fValue = df1 > 0 && independentDof > 0 && independentSSR > 0
+            ? Math.max(0, ((ssr - independentSSR) / df1) / (independentSSR / independentDof))
+            : null;
+
+        this.convergenceReport = report;
+
+        return {
+            model,
+            sharedParams: shared,
+            plates,
+            ssr,
+            n,
+            dof,
+            parameterCount: paramNames.length,
+            independent: { ssr: independentSSR, dof: independentDof, parameterCount: independentCount },
+            fTest: { fValue, df1, df2: independentDof },
+            diagnostics: { ssr, rmse: Math.sqrt(ssr / n), n, ...report }
+        };
+    }
+
+    /**
+     * Check that a standard series changes in one direction
+     * The direction runs from the lowest level towards the level whose mean differs most from it
+     * (the peak response). A level that moves back by more than tolerance × the response range is
+     * a reversal; levels above the peak that fall back that far are a high-dose hook.
+     * @param {array} data - Array of {x, y} points (replicates are averaged per level)
+     * @param {number} tolerance - Fraction of the response range ignored as noise
+     * @returns {object} - {direction: 1 | -1, monotonic, reversals: number[], hookLevels: number[],
+     *                      peakLevel, peakResponse}
+     */
+    detectNonMonotonic(data, tolerance = 0.05) {
+        const groups = new Map();
+        data.forEach(p => {
+            if (!groups.has(p.x)) groups.set(p.x, []);
+            groups.get(p.x).push(p.y);
+        });
+        const levels = Array.from(groups.entries())
+            .sort((a, b) => a[0] - b[0])
+            .map(([x, ys]) => ({ x, y: ys.reduce((a, b) => a + b, 0) / ys.length }));
+
+        if (levels.length === 0) {
+            return { direction: 1, monotonic: true, reversals: [], hookLevels: [], peakLevel: null, peakResponse: null };
+        }
+
+        let peak = 0;
+        levels.forEach((level, i) => {
+            if (Math.abs(level.y - levels[0].y) > Math.abs(levels[peak].y - levels[0].y)) peak = i;
+        });
+        const direction = levels[peak].y >= levels[0].y ? 1 : -1;
+        const noise = tolerance * Math.abs(levels[peak].y - levels[0].y);
+
+        const reversals = levels
+            .filter((level, i) => i > 0 && direction * (levels[i - 1].y - level.y) > noise)
+            .map(level => level.x);
+        const hookLevels = levels
+            .filter((level, i) => i > peak && direction * (levels[peak].y - level.y) > noise)
+            .map(level => level.x);
+
+        return {
+            direction,
+            monotonic: reversals.length === 0,
+            reversals,
+            hookLevels,
+            peakLevel: levels[peak].x,
+            peakResponse: levels[peak].y
+        };
+    }
+
+    /**
+     * Parallelism of a sample dilution series against the standard curve
+     * A sample that dilutes like the standard follows the standard curve at concentration k·r,
+     * with r = 1/dilution. The parallel model fits k only; the free model y = f(k·r^s) also
+     * fits the slope s of the series. The extra-sum-of-squares F-test on s (1 df) tells
+     * whether the series departs from the standard curve's shape.
+     * @param {array} points - [{r, y}]: relative concentration (1/dilution) and response
+     * @param {object} params - Fitted standard curve parameters (including model)
+     * @param {number} initialK - Starting value for k, e.g. the mean dilution-corrected concentration
+     * @returns {object|null} - {k, slope, ssrParallel, ssrFree, n, fValue, df1, df2} or null if n < 3
+     */
+    testParallelism(points, params, initialK) {
+        const n = points.length;
+        if (n < 3 || !(initialK > 0)) return null;
+
+        // k is fitted on a log scale so that it stays positive and is well scaled
+        const predict = (p, r) => this.evaluate(Math.pow(10, p.logK) * Math.pow(r, p.s), params);
+        const problem = (names) => ({
+            ssr: (p) => points.reduce((sum, pt) => sum + Math.pow(pt.y - predict(p, pt.r), 2), 0),
+            linearize: (p) => {
+                const jacobian = [];
+                const residuals = [];
+                points.forEach(pt => {
+                    residuals.push(pt.y - predict(p, pt.r));
+                    jacobian.push(names.map(name => {
+                        const h = 1e-6;
+                        return (predict({ ...p, [name]: p[name] + h }, pt.r) - predict({ ...p, [name]: p[name] - h }, pt.r)) / (2 * h);
+                    }));
+                });
+                return { jacobian, residuals };
+            }
+        });
+        const bounds = { lower: { logK: -Infinity, s: 1e-3 }, upper: { logK: Infinity, s: Infinity } };
+
+        const parallel = this.levenbergMarquardt(null, { logK: Math.log10(initialK), s: 1 }, ['logK'], bounds, 200, 1e-10, problem(['logK']));
+        const free = this.levenbergMarquardt(null, parallel.params, ['logK', 's'], bounds, 200, 1e-10, problem(['logK', 's']));
+
+        const ssrParallel = parallel.report.ssr;
+        const ssrFree = Math.min(free.report.ssr, ssrParallel);
+        const df2 = n - 2;
+        const fValue = ssrFree > 0 && isFinite(ssrParallel)
+            ? Math.max(0, (ssrParallel - ssrFree) / (ssrFree / df2))
+            : null;
+
+        return {
+            k: Math.pow(10, parallel.params.logK),
+            slope: free.params.s,
+            ssrParallel,
+            ssrFree,
+            n,
+            fValue,
+            df1: 1,
+            df2
+        };
+    }
+
+    /**
+     * Concentration at the response halfway between the asymptotes
+     * 4PL: C. 5PL: C · (2^(1/E) - 1)^(1/B), which equals C only when E = 1.
+     * @param {object} params - Fitted parameters (including model)
+     * @returns {number|null} - EC50, or null for models without asymptotes
+     */
+    calculateEC50(params) {
+        if (params.model === '5PL') {
+            return params.C * Math.pow(Math.pow(2, 1 / params.E) - 1, 1 / params.B);
+        }
+        if (!params.model || params.model === '4PL') return params.C;
+        return null;
+    }
+
+    /**
+     * Quantile of sorted values with linear interpolation between order statistics
+     * @param {number[]} sorted - Values in ascending order
+     * @param {number} q - Quantile in [0, 1]
+     */
+    quantile(sorted, q) {
+        if (sorted.length === 0) return null;
+        const pos = (sorted.length - 1) * q;
+        const lo = Math.floor(pos);
+        const hi = Math.ceil(pos);
+        return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+    }
+
+    /**
+     * Percentile intervals from refitting resampled standards
+     * bootstrap: residual bootstrap - fitted values plus weighted residuals drawn with replacement
+     * (inflated by sqrt(n / (n - p)) for the parameters the fit used up).
+     * montecarlo: fitted values plus normal noise with the fit's residual SD.
+     * Each resample is refitted with the same model, weighting and constraints (single start).
+     * Sample intervals cover the calibration curve's uncertainty at the sample's response; a sample's
+     * own replicate scatter is not added. This instance's params are overwritten by the refits.
+     * @param {array} data - Array of {x, y} standards
+     * @param {object} options - {model, weighting, constraints, robust, method: 'bootstrap' | 'montecarlo',
+     *                            iterations = 500, seed = 1, level = 0.95, samples: number[] (responses to
+     *                            back-calculate), onProgress(done, total)}
+     * @returns {object} - {method, iterations, successful, level, params: {[name]: {lower, median, upper}},
+     *                       ec50: {lower, median, upper}|null, samples: [{lower, median, upper, fraction}|null]}
+     */
+    resampleUncertainty(data, options = {}) {
+        const {
+            model = '4PL', weighting = 'none', constraints = null, robust = 'none', method = 'bootstrap',
+            iterations = 500, seed = 1, level = 0.95, samples = [], onProgress = null
+        } = options;
+
+        const base = this.fit(data, { model, weighting, constraints, robust });
+        const validData = this.applyWeights(data.filter(p => this.isValidPoint(p, model)), weighting);
+        const n = validData.length;
+        const dof = n - base.freeParams.length;
+        const fitted = validData.map(p => this.evaluate(p.x, base.params));
+
+        // Weighted residuals share one variance, so they can be exchanged between points
+        const inflation = dof > 0 ? Math.sqrt(n / dof) : 1;
+        const residuals = validData.map((p, i) => Math.sqrt(p.w) * (p.y - fitted[i]) * inflation);
+        const sigma = dof > 0 ? Math.sqrt(base.diagnostics.ssr / dof) : 0;
+
+        const random = this.createRandom(seed);
+        const gaussian = () => Math.sqrt(-2 * Math.log(1 - random())) * Math.cos(2 * Math.PI * random());
+
+        const paramNames = model === 'spline' ? [] : this.getParamNames(model);
+        const draws = { ec50: [], samples: samples.map(() => []) };
+        paramNames.forEach(name => {
+            draws[name] = [];
+        });
+        let successful = 0;
+
+        for (let it = 0; it < iterations; it++) {
+            const resampled = validData.map((p, i) => {
+                const noise = method === 'montecarlo' ? sigma * gaussian() : residuals[Math.floor(random() * n)];
+                return { x: p.x, y: fitted[i] + noise / Math.sqrt(p.w) };
+            });
+
+            try {
+                const { params } = this.fit(resampled, { model, weighting, constraints, robust, restarts: 0 });
+                successful++;
+                paramNames.forEach(name => draws[name].push(params[name]));
+                const ec50 = this.calculateEC50(params);
+                if (ec50 !== null && isFinite(ec50)) draws.ec50.push(ec50);
+                samples.forEach((y, k) => {
+                    const x = this.calculateConcentration(y, params);
+                    if (x !== null && isFinite(x)) draws.samples[k].push(x);
+                });
+            } catch (error) {
+                // A resample the model cannot fit simply does not contribute
+            }
+
+            if (onProgress && ((it + 1) % 25 === 0 || it + 1 === iterations)) {
+                onProgress(it + 1, iterations);
+            }
+        }
+
+        const alpha = (1 - level) / 2;
+        const interval = (values) => {
+            const sorted = values.slice().sort((a, b) => a - b);
+            return {
+                lower: this.quantile(sorted, alpha),
+                median: this.quantile(sorted, 0.5),
+                upper: this.quantile(sorted, 1 - alpha)
+            };
+        };
+
+        const params = {};
+        paramNames.forEach(name => {
+            params[name] = draws[name].length > 0 ? interval(draws[name]) : null;
+        });
+
+        return {
+            method,
+            iterations,
+            successful,
+            level,
+            params,
+            ec50: draws.ec50.length > 0 ? interval(draws.ec50) : null,
+            // A sample needs a value in at least half of the refits; otherwise it sits off the curve too often
+            samples: draws.samples.map(values => (successful > 0 && values.length >= successful / 2
+                ? { ...interval(values), fraction: values.length / successful }
+                : null))
+        };
+    }
+
+    /**
+     * Raw, weighted and standardized residuals of each point
+     * Standardized residuals divide the weighted residual by s = sqrt(SSR / (n - p)).
+     * @param {array} data - Array of {x, y, ...} points (extra fields are kept)
+     * @param {object} params - Fitted parameters (including model)
+     * @param {string} weighting - Weighting scheme used for the fit
+     * @returns {array} - Points with {predicted, residual, weightedResidual, standardized}
+     */
+    calculateResiduals(data, params, weighting = 'none') {
+        const usable = data.filter(p => this.isValidPoint(p, params.model));
+        const points = this.applyWeights(usable, weighting).map(point => {
+            const predicted = this.evaluate(point.x, params);
+            const residual = point.y - predicted;
+            return { ...point, predicted, residual, weightedResidual: residual * Math.sqrt(point.w) };
+        });
+
+        const dof = points.length - this.getFreeParamNames(params).length;
+        const ssr = points.reduce((sum, p) => sum + p.weightedResidual * p.weightedResidual, 0);
+        const s = dof > 0 ? Math.sqrt(ssr / dof) : 0;
+
+        return points.map(p => ({ ...p, standardized: s > 0 ? p.weightedResidual / s : null }));
+    }
+
     /**
      * Generate curve points for plotting
      * @param {number} minX - Minimum x value
@@ -410,7 +1923,7 @@ class CurveFitter {
 
         for (let i = 0; i < numPoints; i++) {
             const x = Math.pow(10, logMin + i * step);
-            const y = this.fourPL(x, useParams);
+            const y = this.evaluate(x, useParams);
             points.push({ x, y });
         }
 
@@ -429,9 +1942,79 @@ class CurveFitter {
             return null; // Instead of throwing, return null for safety
         }
 
-        return this.inverse4PL(absorbance, useParams);
+        switch (useParams.model) {
+            case '5PL': return this.inverse5PL(absorbance, useParams);
+            case 'linear':
+            case 'semilog':
+            case 'loglog': return this.inverseLinearModel(absorbance, useParams);
+            case 'quadratic': return this.inverseQuadratic(absorbance, useParams);
+            case 'spline': return this.inverseSpline(absorbance, useParams);
+            default: return this.inverse4PL(absorbance, useParams);
+        }
+    }
+
+    /**
+     * Confidence interval for a back-calculated concentration (delta method)
+     * Var(x) = g_θ^T Cov g_θ + (dx/dy)² s² / w(y, x), where g_θ is the gradient of the inverse
+     * with respect to the parameters, s² is the (weighted) residual variance of the fit and
+     * w(y, x) is the fit's weight at the sample's own response.
+     * The interval is built on log(x) so that it stays positive and asymmetric like the curve.
+     * @param {number} absorbance - Measured absorbance
+     * @param {object} params - Fitted parameters including covariance, covarianceParams,
+     *                          residualVariance, tCritical (see ELISAPlateAnalyzer.calculateParameterConfidence)
+     *                          and weightScale (see getWeightScale)
+     * @returns {object|null} - {lower, upper, se} or null if not computable
+     */
+    calculateConcentrationCI(absorbance, params) {
+        if (!params || !params.covariance || !params.covarianceParams) return null;
+
+        const x = this.calculateConcentration(absorbance, params);
+        if (x === null || !(x > 0)) return null;
+
+        const names = params.covarianceParams;
+        const cov = params.covariance;
+
+        // Gradient of x with respect to each parameter (central differences, relative step)
+        const gradient = names.map(name => {
+            const h = Math.max(Math.abs(params[name]) * 1e-6, 1e-9);
+            const up = this.calculateConcentration(absorbance, { ...params, [name]: params[name] + h });
+            const down = this.calculateConcentration(absorbance, { ...params, [name]: params[name] - h });
+            return up !== null && down !== null ? (up - down) / (2 * h) : NaN;
+        });
+
+        // Sensitivity to the measurement itself
+        const hy = Math.max(Math.abs(absorbance) * 1e-6, 1e-9);
+        const yUp = this.calculateConcentration(absorbance + hy, params);
+        const yDown = this.calculateConcentration(absorbance - hy, params);
+        const dxdy = yUp !== null && yDown !== null ? (yUp - yDown) / (2 * hy) : NaN;
+
+        if (gradient.some(g => !isFinite(g)) || !isFinite(dxdy)) return null;
+
+        let variance = 0;
+        for (let i = 0; i < names.length; i++) {
+            for (let j = 0; j < names.length; j++) {
+                variance += gradient[i] * cov[i][j] * gradient[j];
+            }
+        }
+        // s² is per unit weight; a sample measured where the fit weights points less is noisier
+        const w = this.weightAt(x, absorbance, params.weightScale);
+        variance += dxdy * dxdy * (params.residualVariance || 0) / w;
+
+        if (!(variance >= 0)) return null;
+
+        const se = Math.sqrt(variance);
+        const seLog = se / x;
+        const t = params.tCritical || 1.96;
+
+        return {
+            lower: x * Math.exp(-t * seLog),
+            upper: x * Math.exp(t * seLog),
+            se
+        };
     }
 }
 
-// Export for use in other modules
-window.CurveFitter = CurveFitter;
+// Export for use in other modules (curve-worker.js loads this file too, where there is no window)
+if (typeof window !== 'undefined') {
+    window.CurveFitter = CurveFitter;
+}
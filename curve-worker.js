@@ -0,0 +1,32 @@
+/**
+ * Web Worker running CurveFitter off the main thread
+ * Used for the plate fits of fitCurve and for resampling-based uncertainty (see runFitterTask in app.js).
+ *
+ * Message in:   {id, method, args}     (method: fit | compareModels | fitGlobal | resampleUncertainty)
+ * Messages out: {id, type: 'progress', done, total}   (resampleUncertainty only)
+ *               {id, type: 'result', result}
+ *               {id, type: 'error', message}
+ */
+
+importScripts('curve-fitting.js');
+
+const fitter = new CurveFitter();
+const METHODS = ['fit', 'compareModels', 'fitGlobal', 'resampleUncertainty'];
+
+self.onmessage = (event) => {
+    const { id, method, args } = event.data;
+
+    try {
+        if (!METHODS.includes(method)) {
+            throw new Error(`Unknown CurveFitter method: ${method}`);
+        }
+
+        // Progress callbacks cannot be posted to the worker, so resampling reports through messages
+        const callArgs = method === 'resampleUncertainty'
+            ? [args[0], { ...args[1], onProgress: (done, total) => self.postMessage({ id, type: 'progress', done, total }) }]
+            : args;
+        self.postMessage({ id, type: 'result', result: fitter[method](...callArgs) });
+    } catch (error) {
+        self.postMessage({ id, type: 'error', message: error.message });
+    }
+};
@@ -439,6 +439,118 @@ class StatisticsUtils {
         return this.regularizedIncompleteBeta(x, df / 2, 0.5);
     }
 
+    /**
+     * Critical value of the t-distribution (Two-tailed)
+     * Finds t such that P(|T| > t) = alpha by bisection on tDistributionPValue
+     * @param {number} df - Degrees of freedom
+     * @param {number} alpha - Significance level (default 0.05 -> 95% CI)
+     * @returns {number} Critical t value
+     */
+    static tCritical(df, alpha = 0.05) {
+        if (df <= 0) return Infinity;
+
+        let low = 0;
+        let high = 1;
+        while (this.tDistributionPValue(high, df) > alpha && high < 1e6) {
+            high *= 2;
+        }
+
+        for (let i = 0; i < 100; i++) {
+            const mid = (low + high) / 2;
+            if (this.tDistributionPValue(mid, df) > alpha) {
+                low = mid;
+            } else {
+                high = mid;
+            }
+            if (high - low < 1e-10) break;
+        }
+
+        return (low + high) / 2;
+    }
+
+    /**
+     * Grubbs' test for a single outlier (Two-sided)
+     * G = max|x_i - mean| / s, compared against the critical value derived from the t-distribution
+     * @param {number[]} values - Sample values (n >= 3)
+     * @param {number} alpha - Significance level (default 0.05)
+     * @returns {object|null} {index, value, G, critical, isOutlier} or null if not applicable
+     */
+    static grubbsTest(values, alpha = 0.05) {
+        const n = values.length;
+        if (n < 3) return null;
+
+        const mean = this.mean(values);
+        const sd = Math.sqrt(this.variance(values));
+        if (sd === 0) return null;
+
+        let index = 0;
+        values.forEach((v, i) => {
+            if (Math.abs(v - mean) > Math.abs(values[index] - mean)) index = i;
+        });
+        const G = Math.abs(values[index] - mean) / sd;
+
+        // Upper alpha/(2n) point of t with n-2 df == two-tailed alpha/n
+        const t = this.tCritical(n - 2, alpha / n);
+        const critical = ((n - 1) / Math.sqrt(n)) * Math.sqrt((t * t) / (n - 2 + t * t));
+
+        return { index, value: values[index], G, critical, isOutlier: G > critical };
+    }
+
+    /**
+     * Dixon's Q test for a single outlier (Two-sided, 95% confidence)
+     * Q = gap / range for the most extreme value
+     * @param {number[]} values - Sample values (3 <= n <= 10)
+     * @returns {object|null} {index, value, Q, critical, isOutlier} or null if not applicable
+     */
+    static dixonQTest(values) {
+        // Critical Q values at 95% confidence for n = 3..10 (Rorabacher, 1991)
+        const qCritical = { 3: 0.970, 4: 0.829, 5: 0.710, 6: 0.625, 7: 0.568, 8: 0.526, 9: 0.493, 10: 0.466 };
+
+        const n = values.length;
+        if (!qCritical[n]) return null;
+
+        const order = values.map((v, i) => i).sort((a, b) => values[a] - values[b]);
+        const range = values[order[n - 1]] - values[order[0]];
+        if (range === 0) return null;
+
+        const qLow = (values[order[1]] - values[order[0]]) / range;
+        const qHigh = (values[order[n - 1]] - values[order[n - 2]]) / range;
+        const index = qHigh >= qLow ? order[n - 1] : order[0];
+        const Q = Math.max(qLow, qHigh);
+
+        return { index, value: values[index], Q, critical: qCritical[n], isOutlier: Q > qCritical[n] };
+    }
+
+    /**
+     * Ordinary least-squares line y = intercept + slope * x
+     * @param {number[]} x - Predictor values
+     * @param {number[]} y - Response values
+     * @returns {object|null} {slope, intercept, rSquared, slopeSE, n} or null if n < 2 or x is constant
+     */
+    static linearRegression(x, y) {
+        const n = x.length;
+        if (n < 2) return null;
+
+        const mx = this.mean(x);
+        const my = this.mean(y);
+        const sxx = this.sumOfSquares(x, mx);
+        if (sxx === 0) return null;
+
+        const sxy = x.reduce((sum, xi, i) => sum + (xi - mx) * (y[i] - my), 0);
+        const slope = sxy / sxx;
+        const intercept = my - slope * mx;
+        const syy = this.sumOfSquares(y, my);
+        const sse = y.reduce((sum, yi, i) => sum + Math.pow(yi - (intercept + slope * x[i]), 2), 0);
+
+        return {
+            slope,
+            intercept,
+            rSquared: syy > 0 ? 1 - sse / syy : 1,
+            slopeSE: n > 2 ? Math.sqrt(sse / (n - 2) / sxx) : null,
+            n
+        };
+    }
+
     /**
      * Standard normal CDF approximation
      */